@@ -16,15 +16,42 @@ try {
   console.warn("FETCH SHIM: unable to load node-fetch:", e && e.message);
 }
 
-const crypto = require("node:crypto");
 const taskRoutes = require("./src/routes/taskRoutes");
 const projectRoutes = require("./src/routes/projectRoutes");
+const webhookRoutes = require("./src/routes/webhookRoutes");
+const scheduleRoutes = require("./src/routes/scheduleRoutes");
+const jobRoutes = require("./src/routes/jobRoutes");
 const {
   handleWebhookEvent,
+  handleWebhookEvents,
+  ensureSummaries,
+} = require("./src/config/webhookHandler");
+const {
+  checkSecretStore,
   storeWebhookSecret,
   getWebhookSecrets,
-} = require("./src/config/webhookHandler");
-const { getGoogleSheetsClient } = require("./src/config/googleSheets");
+} = require("./src/config/secretStore");
+const sheetsRateLimiter = require("./src/config/sheetsRateLimiter");
+const { enqueueEvents, startQueueWorker } = require("./src/config/eventQueue");
+const { findSigningSecret } = require("./src/config/webhookSignature");
+const {
+  markWebhookPending,
+  takePendingWebhook,
+} = require("./src/config/pendingWebhooks");
+const { requireAdminToken } = require("./src/config/adminToken");
+const { startProjectPoller } = require("./src/config/projectPoller");
+const { recordDelivery } = require("./src/config/webhookHealth");
+const { startScheduler } = require("./src/config/scheduler");
+const { recoverJobs } = require("./src/config/jobManager");
+const {
+  runWorkspaceExport,
+  runWorkspaceSync,
+} = require("./src/controllers/projectController");
+const {
+  recordHandshake,
+  recordVerified,
+  recordInvalid,
+} = require("./src/config/webhookMetrics");
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -51,61 +78,16 @@ try {
   console.error('ENV CHECK unexpected error:', err && err.message);
 }
 
-// Rate limiter for Google Sheets API
-// Helps prevent 429 "Quota exceeded" errors
-const sheetsRateLimiter = {
-  queue: [],
-  processing: false,
-  requestsPerMinute: 60, // Conservative limit
-  minDelayMs: 1000, // Minimum 1s between requests
-
-  // Add an operation to the queue
-  enqueue(operation) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({ operation, resolve, reject });
-      this.processQueue();
-    });
-  },
-
-  // Process the next operation in the queue
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) return;
-
-    this.processing = true;
-    const { operation, resolve, reject } = this.queue.shift();
-
-    try {
-      console.log(
-        `Processing Google Sheets API request. Queue length: ${this.queue.length}`
-      );
-      const result = await operation();
-      resolve(result);
-    } catch (error) {
-      console.error("Error in Google Sheets operation:", error.message);
-
-      // If rate limited, add back to queue with exponential backoff
-      if (error.code === 429) {
-        console.log("Google Sheets API rate limited. Retrying with backoff...");
-        // Wait longer and retry
-        setTimeout(() => {
-          this.queue.unshift({ operation, resolve, reject });
-        }, 5000 + Math.random() * 5000); // 5-10s backoff
-      } else {
-        reject(error);
-      }
-    } finally {
-      // Wait before processing next request
-      setTimeout(() => {
-        this.processing = false;
-        this.processQueue();
-      }, this.minDelayMs);
-    }
-  },
-};
-
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body: webhook signatures are computed over the exact bytes sent
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -113,6 +95,22 @@ app.get("/", (req, res) => {
   res.json({ message: "Welcome to the Node.js Backend API" });
 });
 
+// Announce the creation of a webhook, so its handshake is accepted (see
+// pendingWebhooks.js)
+app.post("/receiveWebhook/pending", requireAdminToken, (req, res) => {
+  const { sheetId, resource } = req.query;
+  if (!sheetId || !resource) {
+    return res.status(400).json({
+      error: "Missing required parameter",
+      message: "Please provide the sheetId and resource query parameters",
+    });
+  }
+
+  markWebhookPending(resource, sheetId);
+  console.log(`Expecting a webhook handshake for resource ${resource}`);
+  res.sendStatus(204);
+});
+
 // Webhook endpoint
 app.post("/receiveWebhook", async (req, res) => {
   try {
@@ -123,7 +121,9 @@ app.post("/receiveWebhook", async (req, res) => {
       return res.sendStatus(400);
     }
 
-    const sheets = await getGoogleSheetsClient();
+    // Webhooks created with a resource ID in the target URL have their secret
+    // stored (and looked up) by that ID
+    const resourceId = req.query.resource;
 
     if (req.headers["x-hook-secret"]) {
       // This is a new webhook handshake
@@ -131,20 +131,30 @@ app.post("/receiveWebhook", async (req, res) => {
       const hookSecret = req.headers["x-hook-secret"];
       const webhookId = req.body.data?.id;
 
-      // Store the secret in Google Sheets with rate limiting
+      // Only the handshake of a webhook we are creating may (re)place the
+      // resource's secret
+      if (!resourceId || !takePendingWebhook(resourceId, spreadsheetId)) {
+        console.log("No webhook creation pending - rejecting the handshake");
+        recordInvalid("unexpectedHandshake", {
+          spreadsheetId,
+          resourceId: resourceId || null,
+          ip: req.ip,
+        });
+        return res.sendStatus(403);
+      }
+
+      // Store the secret in the secret store
       try {
-        await sheetsRateLimiter.enqueue(async () => {
-          return await storeWebhookSecret(
-            sheets,
-            webhookId,
-            hookSecret,
-            spreadsheetId
-          );
+        await storeWebhookSecret(spreadsheetId, {
+          webhookId,
+          resourceId,
+          secret: hookSecret,
         });
 
         // Echo back the secret
         res.setHeader("X-Hook-Secret", hookSecret);
         res.sendStatus(200);
+        recordHandshake();
         console.log("Webhook handshake completed successfully");
       } catch (error) {
         console.error("Failed to store webhook secret:", error);
@@ -153,68 +163,60 @@ app.post("/receiveWebhook", async (req, res) => {
     } else if (req.headers["x-hook-signature"]) {
       // This is a webhook event
       const signature = req.headers["x-hook-signature"];
-      const body = JSON.stringify(req.body);
 
-      // Get all webhook secrets from Google Sheets with rate limiting
+      // Get the spreadsheet's webhook secrets from the secret store
       let webhookSecrets;
       try {
-        webhookSecrets = await sheetsRateLimiter.enqueue(async () => {
-          return await getWebhookSecrets(sheets, spreadsheetId);
-        });
+        webhookSecrets = await getWebhookSecrets(spreadsheetId);
       } catch (error) {
         console.error("Failed to get webhook secrets:", error);
         return res.status(500).send("Failed to verify webhook signature");
       }
-// Verify the signature against all stored secrets
-      let isValid = false;
-
-      // Try all stored secrets
-      for (const [secret] of webhookSecrets) {
-        const computedSignature = crypto
-          .createHmac("SHA256", secret)
-          .update(body)
-          .digest("hex");
-
-        if (computedSignature === signature) {
-          isValid = true;
-          break;
-        }
+
+      const attempt = {
+        spreadsheetId,
+        resourceId: resourceId || null,
+        ip: req.ip,
+      };
+      if (webhookSecrets.length === 0) {
+        recordInvalid("unknownSecret", attempt);
+        return res.sendStatus(401);
       }
 
-      if (!isValid) {
+      // Verify against the raw body bytes, in constant time
+      const signingSecret = findSigningSecret(
+        webhookSecrets,
+        req.rawBody,
+        signature,
+        { resourceId }
+      );
+      if (!signingSecret) {
         console.log("Invalid webhook signature");
+        recordInvalid("signature", attempt);
         return res.sendStatus(401);
       }
+      recordVerified();
+      recordDelivery(spreadsheetId, {
+        resourceId,
+        webhookId: signingSecret.webhookId,
+      });
 
-      // Valid signature - send 200 response immediately
-      res.sendStatus(200);
-
-      console.log(`Processing webhook events at ${new Date().toISOString()}`);
-
-      // Process events asynchronously (don't block response)
+      // Write the events to the durable queue before acknowledging them.
+      // If that fails, Asana retries the delivery.
       if (req.body.events && Array.isArray(req.body.events)) {
-        // Process one event at a time to avoid rate limits
-        const processEvents = async () => {
-          for (const event of req.body.events) {
-            try {
-              console.log("Processing event:", event);
-              await sheetsRateLimiter.enqueue(async () => {
-                return await handleWebhookEvent(event, spreadsheetId);
-              });
-            } catch (error) {
-              console.error("Error processing event:", error);
-              // Continue with other events even if one fails
-            }
-          }
-        };
-
-        // Start processing events without blocking response
-        processEvents().catch((err) => {
-          console.error("Failed to process events:", err);
-        });
+        try {
+          enqueueEvents(spreadsheetId, req.body.events);
+        } catch (error) {
+          console.error("Failed to queue webhook events:", error);
+          return res.sendStatus(500);
+        }
       }
+
+      res.sendStatus(200);
+      console.log(`Queued webhook events at ${new Date().toISOString()}`);
     } else {
       console.error("Invalid webhook request - missing required headers");
+      recordInvalid("missingHeaders", { spreadsheetId, ip: req.ip });
       res.sendStatus(400);
     }
   } catch (error) {
@@ -229,6 +231,15 @@ app.use("/api/tasks", taskRoutes);
 // Project routes
 app.use("/api/projects", projectRoutes);
 
+// Webhook queue routes
+app.use("/api/webhooks", webhookRoutes);
+
+// Scheduled exports and syncs
+app.use("/api/schedules", scheduleRoutes);
+
+// Background export jobs
+app.use("/api/jobs", jobRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error("Server error:", err.stack);
@@ -246,6 +257,47 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-module.exports = app; // ✅ required by Vercel
+// Deliveries can't be verified without the secret store, so don't run without
+// it
+checkSecretStore().catch((error) => {
+  console.error("Secret store unusable:", error.message);
+  process.exit(1);
+});
+
+// Mark the jobs the last run left running as interrupted and free their sheets
+recoverJobs();
+
+// Drain queued webhook events through the rate limiter. Due events are handled
+// as one coalesced batch per spreadsheet, falling back to one at a time.
+startQueueWorker(
+  async (event, spreadsheetId) => {
+    console.log("Processing event:", event);
+    const result = await sheetsRateLimiter.enqueue(async () => {
+      return await handleWebhookEvent(event, spreadsheetId);
+    });
+    // Outside the rate limiter, as the summary check goes through it
+    await ensureSummaries();
+    return result;
+  },
+  async (events, spreadsheetId) => {
+    console.log(`Processing ${events.length} events`);
+    const result = await sheetsRateLimiter.enqueue(async () => {
+      return await handleWebhookEvents(events, spreadsheetId);
+    });
+    await ensureSummaries();
+    return result;
+  }
+);
+
+// Register webhooks for new projects (when PROJECT_POLL_INTERVAL_MS is set)
+startProjectPoller();
+
+// Run the scheduled exports and syncs of the settings file
+startScheduler({ export: runWorkspaceExport, sync: runWorkspaceSync });
+
+// Start server. The webhook queue, scheduler and project poller run in this
+// process and keep their state on local disk, so it must be long-running.
+app.listen(port, () => {
+  console.log(`Server running on port ${port}`);
+});
 
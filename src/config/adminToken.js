@@ -0,0 +1,52 @@
+const crypto = require("node:crypto");
+
+// Shared token for the endpoints the webhook scripts call on the server
+// (announcing a webhook creation, exporting the secrets). Set
+// WEBHOOK_ADMIN_TOKEN to the same value on the server and wherever the
+// scripts run; they send it as "Authorization: Bearer <token>".
+function getAdminToken() {
+  const token = process.env.WEBHOOK_ADMIN_TOKEN;
+  if (!token) {
+    throw new Error("WEBHOOK_ADMIN_TOKEN is not set");
+  }
+  return token;
+}
+
+function tokenMatches(header) {
+  const expected = crypto
+    .createHash("sha256")
+    .update(`Bearer ${process.env.WEBHOOK_ADMIN_TOKEN}`)
+    .digest();
+  const received = crypto
+    .createHash("sha256")
+    .update(String(header || ""))
+    .digest();
+  return crypto.timingSafeEqual(received, expected);
+}
+
+// Express middleware that lets only requests with the admin token through
+function requireAdminToken(req, res, next) {
+  if (!process.env.WEBHOOK_ADMIN_TOKEN) {
+    return res.status(503).json({
+      error: "Service Unavailable",
+      message: "WEBHOOK_ADMIN_TOKEN is not set on the server",
+    });
+  }
+  if (!tokenMatches(req.headers.authorization)) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "Missing or wrong admin token",
+    });
+  }
+  next();
+}
+
+// Headers that authenticate a request to the server's admin endpoints
+function getAdminHeaders() {
+  return { Authorization: `Bearer ${getAdminToken()}` };
+}
+
+module.exports = {
+  requireAdminToken,
+  getAdminHeaders,
+};
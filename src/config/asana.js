@@ -5,8 +5,12 @@ const token = client.authentications["token"];
 token.accessToken = process.env.ASANA_ACCESS_TOKEN;
 
 const tasksApi = new Asana.TasksApi();
+const projectsApi = new Asana.ProjectsApi();
+const storiesApi = new Asana.StoriesApi();
 
 module.exports = {
   client,
   tasksApi,
+  projectsApi,
+  storiesApi,
 };
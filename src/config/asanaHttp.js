@@ -0,0 +1,107 @@
+const axios = require("axios");
+
+// Asana REST client for the endpoints the SDK doesn't cover well (webhooks).
+// Rate-limited (429), server (5xx) and the network errors in RETRYABLE_CODES
+// are retried with exponential backoff, honoring Retry-After. POSTs create
+// things (e.g. a webhook), so they are only retried after a 429, which Asana
+// answers without acting on the request; anything else could create a
+// duplicate.
+const ASANA_API_URL = "https://app.asana.com/api/1.0";
+const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 1000;
+const PAGE_SIZE = 100;
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(error, method) {
+  const status = error.response?.status;
+  if (status === 429) return true;
+  if (method.toLowerCase() === "post") return false;
+  if (status) return status >= 500 && status < 600;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseInt(error.response?.headers?.["retry-after"], 10);
+  if (retryAfter > 0) return retryAfter * 1000;
+  return BASE_DELAY_MS * Math.pow(2, attempt) + Math.floor(Math.random() * 500);
+}
+
+// Send a request and return Asana's response body ({ data, next_page }).
+// data is sent as the request's { data } envelope.
+async function asanaRequest(method, path, { params, data, token } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios({
+        method,
+        url: `${ASANA_API_URL}${path}`,
+        headers: {
+          Authorization: `Bearer ${token || process.env.ASANA_ACCESS_TOKEN}`,
+          Accept: "application/json",
+        },
+        params,
+        data: data ? { data } : undefined,
+      });
+      return response.data;
+    } catch (error) {
+      if (!isRetryable(error, method) || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+
+      const waitMs = getRetryDelay(error, attempt);
+      console.log(
+        `Asana ${method.toUpperCase()} ${path} failed (${
+          error.response?.status || error.code || error.message
+        }). Retry ${attempt + 1}/${MAX_RETRIES} in ${waitMs}ms...`
+      );
+      await delay(waitMs);
+    }
+  }
+}
+
+// Get every page of a collection endpoint, following next_page until the last
+// page
+async function asanaGetAll(path, params = {}, options = {}) {
+  const results = [];
+  let offset = null;
+  let pages = 0;
+
+  do {
+    const page = await asanaRequest("get", path, {
+      ...options,
+      params: { limit: PAGE_SIZE, ...params, ...(offset ? { offset } : {}) },
+    });
+    results.push(...(page.data || []));
+    pages++;
+    offset = page.next_page?.offset;
+  } while (offset);
+
+  console.log(
+    `Fetched ${results.length} items from ${path} (${pages} ${
+      pages === 1 ? "page" : "pages"
+    })`
+  );
+  return results;
+}
+
+// Readable message for an Asana API error
+function describeAsanaError(error) {
+  const messages = error.response?.data?.errors?.map((e) => e.message);
+  return messages?.length ? messages.join("; ") : error.message;
+}
+
+module.exports = {
+  asanaRequest,
+  asanaGetAll,
+  describeAsanaError,
+};
@@ -0,0 +1,124 @@
+const { asanaRequest, asanaGetAll } = require("./asanaHttp");
+const { WEBHOOK_FILTERS } = require("./webhookFilters");
+const { withResourceId } = require("./webhookSignature");
+const { announcePendingWebhook } = require("./pendingWebhooks");
+
+const WEBHOOK_FIELDS = [
+  "gid",
+  "active",
+  "target",
+  "resource.name",
+  "resource.resource_type",
+  "filters.resource_type",
+  "filters.resource_subtype",
+  "filters.action",
+  "filters.fields",
+  "created_at",
+  "last_success_at",
+  "last_failure_at",
+  "last_failure_content",
+].join(",");
+
+// The /receiveWebhook URL for a base URL (e.g. an ngrok URL). A URL that
+// already includes /receiveWebhook is used as is, query included. sheetId is
+// added when given.
+function buildTargetUrl(baseUrl, spreadsheetId = null) {
+  const trimmed = baseUrl.replace(/\/+$/, "");
+  const url = new URL(
+    trimmed.includes("/receiveWebhook") ? trimmed : `${trimmed}/receiveWebhook`
+  );
+  if (spreadsheetId) {
+    url.searchParams.set("sheetId", spreadsheetId);
+  }
+  return url.toString();
+}
+
+// The target URL of a project's webhook
+function getProjectTargetUrl(targetUrl, projectId) {
+  return withResourceId(targetUrl, projectId);
+}
+
+// The target URL a project webhook was created for (its target without the
+// project's resource ID)
+function getWebhookTargetUrl(target) {
+  try {
+    const url = new URL(target);
+    url.searchParams.delete("resource");
+    return url.toString();
+  } catch (error) {
+    return target;
+  }
+}
+
+// The spreadsheet a webhook target URL writes to, or null
+function getTargetSheetId(target) {
+  try {
+    return new URL(target).searchParams.get("sheetId");
+  } catch (error) {
+    return null;
+  }
+}
+
+function describeWebhook(webhook) {
+  return `${webhook.gid} ${webhook.active ? "active" : "INACTIVE"} project "${
+    webhook.resource?.name
+  }" (${webhook.resource?.gid}) sheet ${
+    getTargetSheetId(webhook.target) || "-"
+  }`;
+}
+
+// All webhooks of a workspace, optionally only those on one project
+async function listWebhooks(workspaceId, { projectId = null } = {}) {
+  return asanaGetAll("/webhooks", {
+    workspace: workspaceId,
+    ...(projectId ? { resource: projectId } : {}),
+    opt_fields: WEBHOOK_FIELDS,
+  });
+}
+
+// Active (not archived) projects of a workspace
+async function listActiveProjects(workspaceId) {
+  return asanaGetAll(`/workspaces/${workspaceId}/projects`, {
+    archived: false,
+    opt_fields: "name,archived",
+  });
+}
+
+// Create a project webhook. Asana completes the handshake with the target
+// before it answers, so the server must be reachable. The creation is
+// announced to the server first, as it rejects handshakes it doesn't expect.
+async function createProjectWebhook(projectId, targetUrl) {
+  const target = getProjectTargetUrl(targetUrl, projectId);
+  await announcePendingWebhook(target);
+  const response = await asanaRequest("post", "/webhooks", {
+    data: {
+      resource: projectId,
+      target,
+      filters: WEBHOOK_FILTERS,
+    },
+  });
+  return response.data;
+}
+
+// Delete a webhook. Returns false if it no longer exists.
+async function deleteWebhook(webhookId) {
+  try {
+    await asanaRequest("delete", `/webhooks/${webhookId}`);
+    return true;
+  } catch (error) {
+    if (error.response?.status === 404) return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  buildTargetUrl,
+  getProjectTargetUrl,
+  getWebhookTargetUrl,
+  getTargetSheetId,
+  describeWebhook,
+  listWebhooks,
+  listActiveProjects,
+  createProjectWebhook,
+  deleteWebhook,
+};
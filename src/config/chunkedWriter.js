@@ -0,0 +1,199 @@
+const sheetsRateLimiter = require("./sheetsRateLimiter");
+const { columnLetter, quoteSheetName } = require("./columnMapping");
+
+// Writes large sets of rows in chunks, as a single values.update with every
+// row of a big workspace goes over the Sheets request limits. Chunks are
+// bounded by cell count and payload size, go through the rate limiter and are
+// retried on their own: on rate limits (429) the limiter didn't catch, server
+// errors (5xx) and the network errors in RETRYABLE_CODES. Anything else (a
+// bad request, a bug) fails at once. The tab's grid is grown first, as
+// values.update doesn't write past it.
+const MAX_CHUNK_CELLS = parseInt(process.env.SHEETS_CHUNK_CELLS || "50000", 10);
+// Google recommends keeping request payloads under 2 MB
+const MAX_CHUNK_BYTES = 1024 * 1024;
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 2000;
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Split rows into chunks of whole rows: [{ startIndex, rows }]
+function splitIntoChunks(
+  rows,
+  { maxCells = MAX_CHUNK_CELLS, maxBytes = MAX_CHUNK_BYTES } = {}
+) {
+  const chunks = [];
+  let current = null;
+  let cells = 0;
+  let bytes = 0;
+
+  rows.forEach((row, index) => {
+    const rowCells = Math.max(row.length, 1);
+    const rowBytes = Buffer.byteLength(JSON.stringify(row));
+    if (
+      current &&
+      (cells + rowCells > maxCells || bytes + rowBytes > maxBytes)
+    ) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { startIndex: index, rows: [] };
+      cells = 0;
+      bytes = 0;
+    }
+    current.rows.push(row);
+    cells += rowCells;
+    bytes += rowBytes;
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Run a Sheets request through the rate limiter, retrying rate limits, server
+// and network errors with exponential backoff
+async function sendWithRetry(operation, description) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sheetsRateLimiter.enqueue(operation);
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+      const waitMs = BASE_DELAY_MS * Math.pow(2, attempt - 1);
+      console.log(
+        `${description} failed (${
+          error.response?.status || error.code || error.message
+        }). Retry ${attempt}/${MAX_ATTEMPTS - 1} in ${waitMs}ms...`
+      );
+      await delay(waitMs);
+    }
+  }
+}
+
+// Add rows and columns to a tab so its grid holds rowCount x columnCount
+async function ensureGridSize(
+  sheets,
+  spreadsheetId,
+  sheetId,
+  rowCount,
+  columnCount
+) {
+  const spreadsheet = await sendWithRetry(
+    () =>
+      sheets.spreadsheets.get({
+        spreadsheetId,
+        fields: "sheets.properties(sheetId,gridProperties)",
+      }),
+    "Reading the grid size"
+  );
+  const grid = spreadsheet.data.sheets.find(
+    (sheet) => sheet.properties.sheetId === sheetId
+  )?.properties.gridProperties;
+  if (!grid) {
+    throw new Error(
+      `Sheet ${sheetId} not found in spreadsheet ${spreadsheetId}`
+    );
+  }
+
+  const requests = [];
+  if (rowCount > grid.rowCount) {
+    requests.push({
+      appendDimension: {
+        sheetId,
+        dimension: "ROWS",
+        length: rowCount - grid.rowCount,
+      },
+    });
+  }
+  if (columnCount > grid.columnCount) {
+    requests.push({
+      appendDimension: {
+        sheetId,
+        dimension: "COLUMNS",
+        length: columnCount - grid.columnCount,
+      },
+    });
+  }
+  if (requests.length === 0) return;
+
+  console.log(
+    `Growing the grid of sheet ${sheetId} to ${Math.max(
+      rowCount,
+      grid.rowCount
+    )} rows and ${Math.max(columnCount, grid.columnCount)} columns`
+  );
+  await sendWithRetry(
+    () =>
+      sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: { requests },
+      }),
+    "Growing the grid"
+  );
+}
+
+// Write rows to a tab from row 1, starting at the given column (0-based), in
+// chunks. Returns the number of chunks sent.
+async function writeRows(
+  sheets,
+  spreadsheetId,
+  { sheetName, sheetId, rows, startColumn = 0, valueInputOption = "RAW" }
+) {
+  if (rows.length === 0) return 0;
+
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  await ensureGridSize(
+    sheets,
+    spreadsheetId,
+    sheetId,
+    rows.length,
+    startColumn + width
+  );
+
+  const chunks = splitIntoChunks(rows);
+  const column = columnLetter(startColumn);
+  for (const [i, chunk] of chunks.entries()) {
+    const range = `${quoteSheetName(sheetName)}!${column}${
+      chunk.startIndex + 1
+    }`;
+    await sendWithRetry(
+      () =>
+        sheets.spreadsheets.values.update({
+          spreadsheetId,
+          range,
+          valueInputOption,
+          resource: {
+            values: chunk.rows,
+          },
+        }),
+      `Writing chunk ${i + 1}/${chunks.length} (${range})`
+    );
+  }
+
+  if (chunks.length > 1) {
+    console.log(`Wrote ${rows.length} rows in ${chunks.length} chunks`);
+  }
+  return chunks.length;
+}
+
+module.exports = {
+  ensureGridSize,
+  writeRows,
+};
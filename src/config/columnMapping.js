@@ -0,0 +1,283 @@
+const { getSheetSettings } = require("./syncSettings");
+
+// Name of the optional sheet tab that overrides the column mapping for a spreadsheet.
+// It has two columns: "header" and "source" (one row per sheet column).
+const MAPPING_SHEET_NAME = "column_mapping";
+
+// How long a mapping read from a sheet tab is reused before reading it again
+const MAPPING_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Layout used when no mapping is configured
+const DEFAULT_SHEET_NAME = "Sheet1";
+const DEFAULT_COLUMNS = [
+  { header: "Project Name", source: "project.name" },
+  { header: "Task Name", source: "task.name" },
+  { header: "Assignee", source: "task.assignee" },
+  { header: "Completed At", source: "task.completed_at" },
+  { header: "Worker", source: "custom:Worker" },
+  { header: "Status", source: "custom:Status" },
+  { header: "Paid with...", source: "custom:Paid with..." },
+  { header: "Deposit", source: "custom:Deposit" },
+  { header: "Bonus", source: "custom:Bonus" },
+  { header: "Max bet", source: "custom:Max bet" },
+  { header: "WG", source: "custom:WG" },
+  { header: "Max win", source: "custom:Max win" },
+  { header: "Balance", source: "custom:Balance" },
+  { header: "Groups", source: "custom:Groups" },
+  { header: "Received", source: "custom:Received" },
+  { header: "RM/BM", source: "custom:RM/BM" },
+  { header: "Project ID", source: "project.gid" },
+  { header: "Task ID", source: "task.gid" },
+  { header: "Completed", source: "task.completed" },
+];
+
+// Asana fields a column can be mapped to (custom fields use "custom:<field name>")
+const FIELD_SOURCES = {
+  "project.name": (record) => record.project_name,
+  "project.gid": (record) => record.project_id,
+  "project.archived": (record) => (record.project_archived ? "Yes" : "No"),
+  "task.name": (record) => record.task_name,
+  "task.gid": (record) => record.task_id,
+  "task.assignee": (record) => record.assignee,
+  "task.completed_at": (record) => record.completed_at,
+  "task.completed": (record) => (record.completed ? "Yes" : "No"),
+  "task.section": (record) => record.section_name,
+  "row.status": (record) => (record.excluded ? "Excluded" : "Active"),
+};
+
+const CUSTOM_FIELD_PREFIX = "custom:";
+
+// Cache of mappings read from the column_mapping tab, keyed by spreadsheet ID
+const sheetMappingCache = new Map();
+
+// Make sure a mapping can be used to build rows and find tasks
+function validateMapping(mapping, origin) {
+  if (!Array.isArray(mapping.columns) || mapping.columns.length === 0) {
+    throw new Error(`Column mapping from ${origin} has no columns`);
+  }
+
+  mapping.columns.forEach((column) => {
+    if (
+      !column.source ||
+      (!FIELD_SOURCES[column.source] &&
+        !column.source.startsWith(CUSTOM_FIELD_PREFIX))
+    ) {
+      throw new Error(
+        `Column "${column.header}" in mapping from ${origin} has an unknown source "${column.source}"`
+      );
+    }
+  });
+
+  if (!mapping.columns.some((column) => column.source === "task.gid")) {
+    throw new Error(
+      `Column mapping from ${origin} must include a "task.gid" column`
+    );
+  }
+
+  return mapping;
+}
+
+// Get the mapping configured in the settings file for a spreadsheet
+function getConfiguredMapping(spreadsheetId) {
+  const settings = getSheetSettings(spreadsheetId);
+  return validateMapping(
+    {
+      sheetName: settings.sheetName || DEFAULT_SHEET_NAME,
+      columns: settings.columns || DEFAULT_COLUMNS,
+    },
+    "settings file"
+  );
+}
+
+// Read the mapping from the spreadsheet's column_mapping tab, if it has one
+async function readMappingSheet(sheets, spreadsheetId) {
+  const spreadsheet = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: "sheets.properties.title",
+  });
+
+  const hasMappingSheet = spreadsheet.data.sheets.some(
+    (sheet) => sheet.properties.title === MAPPING_SHEET_NAME
+  );
+  if (!hasMappingSheet) {
+    return null;
+  }
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${MAPPING_SHEET_NAME}!A2:B`,
+  });
+
+  const columns = (response.data.values || [])
+    .filter(([header, source]) => header && source)
+    .map(([header, source]) => ({
+      header: header.trim(),
+      source: source.trim(),
+    }));
+
+  return columns;
+}
+
+// Get the column mapping for a spreadsheet. A column_mapping tab in the
+// spreadsheet wins over the settings file; the built-in layout is the fallback.
+async function getColumnMapping(sheets, spreadsheetId) {
+  const configured = getConfiguredMapping(spreadsheetId);
+  if (!sheets || !spreadsheetId) {
+    return configured;
+  }
+
+  const cached = sheetMappingCache.get(spreadsheetId);
+  if (cached && Date.now() - cached.loadedAt < MAPPING_CACHE_TTL_MS) {
+    return cached.mapping;
+  }
+
+  let mapping = configured;
+  try {
+    const columns = await readMappingSheet(sheets, spreadsheetId);
+    if (columns) {
+      mapping = validateMapping(
+        { sheetName: configured.sheetName, columns },
+        `${MAPPING_SHEET_NAME} tab`
+      );
+      console.log(
+        `Using column mapping from ${MAPPING_SHEET_NAME} tab (${columns.length} columns)`
+      );
+    }
+  } catch (error) {
+    console.error(
+      `Error reading ${MAPPING_SHEET_NAME} tab, using configured mapping:`,
+      error.message
+    );
+  }
+
+  sheetMappingCache.set(spreadsheetId, { mapping, loadedAt: Date.now() });
+  return mapping;
+}
+
+// Return a copy of the mapping with extra columns added at the end
+function withExtraColumns(mapping, extraColumns) {
+  return { ...mapping, columns: [...mapping.columns, ...extraColumns] };
+}
+
+function getHeaders(mapping) {
+  return mapping.columns.map((column) => column.header);
+}
+
+// Names of the Asana custom fields used by the mapping
+function getCustomFieldNames(mapping) {
+  return mapping.columns
+    .filter((column) => column.source.startsWith(CUSTOM_FIELD_PREFIX))
+    .map((column) => column.source.slice(CUSTOM_FIELD_PREFIX.length));
+}
+
+// Index of the column holding the given source, or -1
+function getColumnIndex(mapping, source) {
+  return mapping.columns.findIndex((column) => column.source === source);
+}
+
+// Extract the values of the named custom fields from an Asana task. Aliases map
+// an Asana field name to the field name used by the mapping.
+function getCustomFieldValues(task, fieldNames, aliases = {}) {
+  const customFieldValues = {};
+
+  if (task.custom_fields) {
+    task.custom_fields.forEach((field) => {
+      const name = aliases[field.name] || field.name;
+
+      if (fieldNames.includes(name)) {
+        let value;
+        if (field.enum_value) {
+          value = field.enum_value.name;
+        } else if (
+          field.number_value !== null &&
+          field.number_value !== undefined
+        ) {
+          value = field.number_value;
+        } else if (field.text_value) {
+          value = field.text_value;
+        } else {
+          value = field.display_value;
+        }
+
+        // An empty aliased field must not hide the value of a filled one
+        const hasValue = value !== null && value !== undefined && value !== "";
+        if (hasValue || !(name in customFieldValues)) {
+          customFieldValues[name] = value;
+        }
+      }
+    });
+  }
+
+  return customFieldValues;
+}
+
+// The record of an Asana task that rows are built from, for exports and
+// webhook syncs alike. Missing values are null (buildRow writes them as empty
+// cells).
+function processTaskData(task, fieldNames, aliases) {
+  return {
+    task_name: task.name,
+    task_id: task.gid,
+    assignee: task.assignee ? task.assignee.name : null,
+    completed_at: task.completed_at,
+    completed: task.completed,
+    section_name: task.memberships?.[0]?.section?.name || null,
+    ...getCustomFieldValues(task, fieldNames, aliases),
+  };
+}
+
+// Build a sheet row from a processed task record (see processTaskData) that
+// also carries project_name and project_id
+function buildRow(mapping, record) {
+  return mapping.columns.map((column) => {
+    const value = column.source.startsWith(CUSTOM_FIELD_PREFIX)
+      ? record[column.source.slice(CUSTOM_FIELD_PREFIX.length)]
+      : FIELD_SOURCES[column.source](record);
+    return value || "";
+  });
+}
+
+// Convert a 0-based column index to a column letter (0 -> A, 26 -> AA)
+function columnLetter(index) {
+  let letter = "";
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+// Quote a sheet name for use in A1 notation when it needs it
+function quoteSheetName(sheetName) {
+  return /^[A-Za-z0-9_]+$/.test(sheetName)
+    ? sheetName
+    : `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+// A1 range covering the mapped columns, either whole columns or a single row
+function getSheetRange(mapping, rowIndex) {
+  const sheetName = quoteSheetName(mapping.sheetName);
+  const lastColumn = columnLetter(mapping.columns.length - 1);
+  return rowIndex
+    ? `${sheetName}!A${rowIndex}:${lastColumn}${rowIndex}`
+    : `${sheetName}!A:${lastColumn}`;
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  MAPPING_SHEET_NAME,
+  getColumnMapping,
+  getConfiguredMapping,
+  withExtraColumns,
+  getHeaders,
+  getCustomFieldNames,
+  getColumnIndex,
+  getCustomFieldValues,
+  processTaskData,
+  buildRow,
+  columnLetter,
+  quoteSheetName,
+  getSheetRange,
+};
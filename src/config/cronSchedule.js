@@ -0,0 +1,108 @@
+// Cron expressions with the five standard fields:
+//
+//   minute hour day-of-month month day-of-week
+//
+// Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (*/15,
+// 0-30/10). Day of week runs from 0 (Sunday) to 6; 7 is also Sunday. As in
+// cron, when both day fields are restricted a day matching either one runs.
+// Times are in the server's local time zone (set TZ to change it).
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+// Look this far ahead for the next run, so an impossible date (e.g. 31 2)
+// doesn't loop forever
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${text}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === "*" ? min : parseInt(start, 10);
+    // A single value with a step (5/15) runs from the value to the maximum
+    let to = from;
+    if (range === "*" || (end === undefined && step)) {
+      to = max;
+    } else if (end !== undefined) {
+      to = parseInt(end, 10);
+    }
+    const increment = step ? parseInt(step, 10) : 1;
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid ${name} field "${text}"`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse a cron expression into the allowed values of each field
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(
+      `Invalid cron expression "${expression}": expected ${FIELDS.length} fields`
+    );
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+  schedule.dayOfMonthRestricted = parts[2] !== "*";
+  schedule.dayOfWeekRestricted = parts[4] !== "*";
+  return schedule;
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+function matches(schedule, date) {
+  return (
+    schedule.minute.has(date.getMinutes()) &&
+    schedule.hour.has(date.getHours()) &&
+    schedule.month.has(date.getMonth() + 1) &&
+    matchesDay(schedule, date)
+  );
+}
+
+// The first time after `from` that matches the schedule, or null
+function getNextRun(schedule, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    date.setMinutes(date.getMinutes() + 1);
+    if (matches(schedule, date)) {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
@@ -0,0 +1,313 @@
+const crypto = require("node:crypto");
+const { readJsonFile, writeJsonFile } = require("./localStore");
+const { getSheetLock } = require("./sheetLocks");
+
+// Durable queue for webhook events. Events are written to the data directory
+// before the webhook is acknowledged, then drained in order by a worker.
+// Events that keep failing are moved to a dead-letter store.
+//
+// New events wait for a short coalescing window, so the events of several
+// deliveries about the same task can be handled as one batch.
+//
+// Events of a sheet whose lock is held (by an export, a sync or a scheduled
+// run) wait until it is released: an export copies its staged rows over the
+// main tab, so rows written to it meanwhile would be lost.
+const QUEUE_FILE = "webhook-queue.json";
+const DEAD_LETTER_FILE = "webhook-dead-letters.json";
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10);
+const RETRY_BASE_DELAY_MS = parseInt(
+  process.env.WEBHOOK_RETRY_BASE_MS || "5000",
+  10
+);
+const COALESCE_WINDOW_MS = parseInt(
+  process.env.WEBHOOK_COALESCE_MS || "2000",
+  10
+);
+const LOCK_WAIT_MS = parseInt(process.env.WEBHOOK_LOCK_WAIT_MS || "30000", 10);
+
+let pending = null;
+let deadLetters = null;
+let eventHandler = null;
+let batchHandler = null;
+let draining = false;
+let drainTimer = null;
+let drainAt = null;
+
+function loadQueue() {
+  if (!pending) {
+    pending = readJsonFile(QUEUE_FILE, []);
+    deadLetters = readJsonFile(DEAD_LETTER_FILE, []);
+  }
+}
+
+function saveQueue() {
+  writeJsonFile(QUEUE_FILE, pending);
+}
+
+function saveDeadLetters() {
+  writeJsonFile(DEAD_LETTER_FILE, deadLetters);
+}
+
+// Add webhook events to the queue. Throws if they could not be written, so the
+// caller can refuse the delivery and let Asana retry it.
+function enqueueEvents(spreadsheetId, events) {
+  loadQueue();
+
+  const now = new Date();
+  const entries = events.map((event) => ({
+    id: crypto.randomUUID(),
+    spreadsheetId,
+    event,
+    attempts: 0,
+    receivedAt: now.toISOString(),
+    nextAttemptAt: new Date(now.getTime() + COALESCE_WINDOW_MS).toISOString(),
+    lastError: null,
+  }));
+
+  pending.push(...entries);
+  try {
+    saveQueue();
+  } catch (error) {
+    pending = pending.filter((entry) => !entries.includes(entry));
+    throw error;
+  }
+
+  console.log(
+    `Queued ${entries.length} webhook events (queue length: ${pending.length})`
+  );
+  scheduleDrain(COALESCE_WINDOW_MS);
+  return entries;
+}
+
+// Drain the queue after delayMs, unless a drain is already due sooner
+function scheduleDrain(delayMs) {
+  const at = Date.now() + delayMs;
+  if (drainTimer) {
+    if (drainAt <= at) return;
+    clearTimeout(drainTimer);
+  }
+  drainAt = at;
+  drainTimer = setTimeout(() => {
+    drainTimer = null;
+    drainAt = null;
+    drainQueue().catch((error) => {
+      console.error("Error draining webhook queue:", error);
+    });
+  }, delayMs);
+}
+
+// Record a failed attempt: retry later with backoff, or dead-letter the event
+function recordFailure(entry, error) {
+  entry.attempts += 1;
+  entry.lastError = error?.message || String(error);
+
+  if (entry.attempts >= MAX_ATTEMPTS) {
+    console.error(
+      `Webhook event ${entry.id} failed ${entry.attempts} times. Moving it to the dead-letter store.`
+    );
+    pending = pending.filter((e) => e.id !== entry.id);
+    deadLetters.push({ ...entry, failedAt: new Date().toISOString() });
+    saveDeadLetters();
+  } else {
+    const delayMs = RETRY_BASE_DELAY_MS * Math.pow(2, entry.attempts - 1);
+    entry.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    console.log(
+      `Webhook event ${entry.id} failed (attempt ${entry.attempts}/${MAX_ATTEMPTS}). Retrying in ${Math.round(delayMs / 1000)}s.`
+    );
+  }
+  saveQueue();
+}
+
+// Put off a locked sheet's entries until the lock may be released. This isn't
+// a failed attempt, so it doesn't count towards MAX_ATTEMPTS.
+function postponeEntries(spreadsheetId, entries) {
+  const nextAttemptAt = new Date(Date.now() + LOCK_WAIT_MS).toISOString();
+  entries.forEach((entry) => {
+    entry.nextAttemptAt = nextAttemptAt;
+  });
+  saveQueue();
+  console.log(
+    `Sheet ${spreadsheetId} is locked by ${
+      getSheetLock(spreadsheetId)?.description || "another run"
+    }. Holding ${entries.length} webhook events for ${Math.round(
+      LOCK_WAIT_MS / 1000
+    )}s.`
+  );
+}
+
+// Remove a handled event from the queue
+function completeEntry(entry) {
+  pending = pending.filter((e) => e.id !== entry.id);
+  saveQueue();
+}
+
+// Process entries one at a time through the single-event handler
+async function processEntries(entries) {
+  for (const entry of entries) {
+    try {
+      await eventHandler(entry.event, entry.spreadsheetId);
+      completeEntry(entry);
+    } catch (error) {
+      console.error(`Error processing webhook event ${entry.id}:`, error);
+      recordFailure(entry, error);
+    }
+  }
+}
+
+// Process the due entries of one spreadsheet as a batch. A handler that
+// applied the batch except for some events throws with error.failedEvents
+// ([{ event, error }]); only those are retried. If the batch fails as a
+// whole, fall back to one event at a time so only the failing events are
+// retried.
+async function processBatch(spreadsheetId, entries) {
+  if (!batchHandler || entries.length === 1) {
+    await processEntries(entries);
+    return;
+  }
+
+  try {
+    await batchHandler(
+      entries.map((entry) => entry.event),
+      spreadsheetId
+    );
+    const ids = new Set(entries.map((entry) => entry.id));
+    pending = pending.filter((e) => !ids.has(e.id));
+    saveQueue();
+  } catch (error) {
+    if (error.failedEvents) {
+      const failures = new Map(
+        error.failedEvents.map(({ event, error }) => [event, error])
+      );
+      const ids = new Set(
+        entries.filter((entry) => !failures.has(entry.event)).map((e) => e.id)
+      );
+      pending = pending.filter((e) => !ids.has(e.id));
+      saveQueue();
+      entries
+        .filter((entry) => failures.has(entry.event))
+        .forEach((entry) => recordFailure(entry, failures.get(entry.event)));
+      return;
+    }
+
+    console.error(
+      `Error processing a batch of ${entries.length} webhook events, retrying them one at a time:`,
+      error
+    );
+    await processEntries(entries);
+  }
+}
+
+// Process queued events that are due, batched per spreadsheet
+async function drainQueue() {
+  if (draining || !eventHandler) return;
+  loadQueue();
+  draining = true;
+
+  try {
+    let due;
+    while (
+      (due = pending.filter(
+        (e) => new Date(e.nextAttemptAt).getTime() <= Date.now()
+      )).length > 0
+    ) {
+      const bySpreadsheet = new Map();
+      due.forEach((entry) => {
+        if (!bySpreadsheet.has(entry.spreadsheetId)) {
+          bySpreadsheet.set(entry.spreadsheetId, []);
+        }
+        bySpreadsheet.get(entry.spreadsheetId).push(entry);
+      });
+
+      for (const [spreadsheetId, entries] of bySpreadsheet) {
+        if (getSheetLock(spreadsheetId)) {
+          postponeEntries(spreadsheetId, entries);
+        } else {
+          await processBatch(spreadsheetId, entries);
+        }
+      }
+    }
+  } finally {
+    draining = false;
+  }
+
+  // Wake up again when the next retry is due
+  if (pending.length > 0) {
+    const nextAttemptAt = Math.min(
+      ...pending.map((e) => new Date(e.nextAttemptAt).getTime())
+    );
+    scheduleDrain(Math.max(nextAttemptAt - Date.now(), 0));
+  }
+}
+
+// Start draining the queue, including events left over from before a restart.
+// handler(event, spreadsheetId) handles one event; the optional
+// batchHandler(events, spreadsheetId) handles all due events of a spreadsheet.
+function startQueueWorker(handler, eventsHandler = null) {
+  eventHandler = handler;
+  batchHandler = eventsHandler;
+  loadQueue();
+  if (pending.length > 0) {
+    console.log(`Resuming ${pending.length} queued webhook events`);
+  }
+  scheduleDrain(0);
+}
+
+function getQueueStatus() {
+  loadQueue();
+  return {
+    pending: pending.length,
+    retrying: pending.filter((e) => e.attempts > 0).length,
+    deadLetters: deadLetters.length,
+  };
+}
+
+function listDeadLetters() {
+  loadQueue();
+  return deadLetters;
+}
+
+function getDeadLetter(id) {
+  loadQueue();
+  return deadLetters.find((entry) => entry.id === id) || null;
+}
+
+// Put a dead-lettered event back on the queue with a fresh attempt count
+function replayDeadLetter(id) {
+  const entry = getDeadLetter(id);
+  if (!entry) return null;
+
+  const { failedAt, ...rest } = entry;
+  const replayed = {
+    ...rest,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  };
+
+  pending.push(replayed);
+  saveQueue();
+  deadLetters = deadLetters.filter((e) => e.id !== id);
+  saveDeadLetters();
+
+  scheduleDrain(0);
+  return replayed;
+}
+
+function discardDeadLetter(id) {
+  const entry = getDeadLetter(id);
+  if (!entry) return null;
+
+  deadLetters = deadLetters.filter((e) => e.id !== id);
+  saveDeadLetters();
+  return entry;
+}
+
+module.exports = {
+  enqueueEvents,
+  startQueueWorker,
+  getQueueStatus,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter,
+};
@@ -38,6 +38,97 @@ async function getGoogleSheetsClient() {
   }
 }
 
+// Cache of sheet tab IDs, keyed by "<spreadsheetId>:<title>"
+const sheetTabIdCache = new Map();
+
+// Look up the numeric sheet ID of a tab by its title (needed for batchUpdate requests)
+async function getSheetTabId(sheets, spreadsheetId, title) {
+  const cacheKey = `${spreadsheetId}:${title}`;
+  if (sheetTabIdCache.has(cacheKey)) {
+    return sheetTabIdCache.get(cacheKey);
+  }
+
+  const spreadsheet = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: "sheets.properties(sheetId,title)",
+  });
+
+  const sheet = spreadsheet.data.sheets.find(
+    (s) => s.properties.title === title
+  );
+  if (!sheet) {
+    throw new Error(
+      `Sheet "${title}" not found in spreadsheet ${spreadsheetId}`
+    );
+  }
+
+  sheetTabIdCache.set(cacheKey, sheet.properties.sheetId);
+  return sheet.properties.sheetId;
+}
+
+// Forget the cached tab IDs of a spreadsheet, after its tabs were renamed or
+// deleted
+function forgetSheetTabIds(spreadsheetId) {
+  for (const key of sheetTabIdCache.keys()) {
+    if (key.startsWith(`${spreadsheetId}:`)) {
+      sheetTabIdCache.delete(key);
+    }
+  }
+}
+
+// Make sure a sheet tab exists, creating it with a header row if it doesn't.
+// Returns the tab's sheet ID.
+async function ensureSheetTab(
+  sheets,
+  spreadsheetId,
+  title,
+  headers,
+  options = {}
+) {
+  try {
+    return await getSheetTabId(sheets, spreadsheetId, title);
+  } catch (error) {
+    if (!error.message.startsWith(`Sheet "${title}" not found`)) {
+      throw error;
+    }
+  }
+
+  console.log(`Creating "${title}" sheet...`);
+  const response = await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: [
+        {
+          addSheet: {
+            properties: {
+              title,
+              hidden: Boolean(options.hidden),
+            },
+          },
+        },
+      ],
+    },
+  });
+  const sheetId = response.data.replies[0].addSheet.properties.sheetId;
+  sheetTabIdCache.set(`${spreadsheetId}:${title}`, sheetId);
+
+  if (headers && headers.length > 0) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `'${title.replace(/'/g, "''")}'!A1`,
+      valueInputOption: "RAW",
+      resource: {
+        values: [headers],
+      },
+    });
+  }
+
+  return sheetId;
+}
+
 module.exports = {
   getGoogleSheetsClient,
+  getSheetTabId,
+  forgetSheetTabIds,
+  ensureSheetTab,
 };
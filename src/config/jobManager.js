@@ -0,0 +1,191 @@
+const crypto = require("node:crypto");
+const { readJsonFile, writeJsonFile } = require("./localStore");
+const {
+  acquireSheetLock,
+  releaseSheetLock,
+  getSheetLock,
+} = require("./sheetLocks");
+
+// Background jobs (e.g. exports) that report their progress and can be
+// cancelled. A job's runner gets a handle to report through:
+//
+//   job.setPhase("fetching tasks")
+//   job.setProgress({ projectsTotal: 12 })
+//   job.increment("tasksFetched", 40)
+//   job.addError({ project: "123", error: "..." })
+//   job.throwIfCancelled()
+//
+// Cancelling only sets a flag; the runner stops at its next
+// throwIfCancelled(), so it can stop where no half-written state is left.
+// Jobs are kept in the data directory; jobs that were running when the server
+// stopped are marked "interrupted" and their sheet locks are released.
+const JOBS_FILE = "jobs.json";
+const JOB_LIMIT = parseInt(process.env.JOB_HISTORY_LIMIT || "100", 10);
+const CANCELLED = "JOB_CANCELLED";
+
+let jobs = null;
+
+function loadJobs() {
+  if (!jobs) {
+    jobs = readJsonFile(JOBS_FILE, []).map((job) => {
+      if (job.status !== "running") return job;
+      // Jobs recorded without lockSheetId locked the sheet they export to
+      const lockSheetId = job.lockSheetId || job.params?.spreadsheetId;
+      if (lockSheetId) {
+        releaseSheetLock(lockSheetId, job.id);
+      }
+      return {
+        ...job,
+        status: "interrupted",
+        endedAt: job.endedAt || new Date().toISOString(),
+      };
+    });
+  }
+  return jobs;
+}
+
+// Load the jobs at startup, so the locks of interrupted jobs are released
+// before anything waits on them
+function recoverJobs() {
+  loadJobs();
+  saveJobs();
+}
+
+function saveJobs() {
+  try {
+    writeJsonFile(JOBS_FILE, loadJobs().slice(0, JOB_LIMIT));
+  } catch (error) {
+    console.error("Error saving jobs:", error.message);
+  }
+}
+
+function createHandle(job) {
+  return {
+    id: job.id,
+    setPhase(phase) {
+      job.phase = phase;
+      saveJobs();
+    },
+    setProgress(values) {
+      Object.assign(job.progress, values);
+    },
+    increment(counter, amount = 1) {
+      job.progress[counter] = (job.progress[counter] || 0) + amount;
+    },
+    addError(entry) {
+      job.errors.push(entry);
+      saveJobs();
+    },
+    isCancelled() {
+      return !!job.cancelRequestedAt;
+    },
+    throwIfCancelled() {
+      if (job.cancelRequestedAt) {
+        const error = new Error(`Job ${job.id} was cancelled`);
+        error.code = CANCELLED;
+        throw error;
+      }
+    },
+  };
+}
+
+// A handle for work that runs outside a job (e.g. a scheduled run), so the
+// same runner can be used with and without one
+function untrackedJob() {
+  return createHandle({ progress: {}, errors: [] });
+}
+
+// Start a job in the background and return its record.
+// runner(job) does the work and returns the job's result. With lockSheetId the
+// job holds that sheet's lock while it runs; if the lock is taken the job
+// isn't started and an error with code "SHEET_LOCKED" is thrown.
+function startJob(type, params, runner, { lockSheetId = null } = {}) {
+  loadJobs();
+  const id = crypto.randomUUID();
+  if (lockSheetId && !acquireSheetLock(lockSheetId, id, `${type} job ${id}`)) {
+    const error = new Error(
+      `Sheet ${lockSheetId} is locked by ${
+        getSheetLock(lockSheetId)?.description || "another run"
+      }`
+    );
+    error.code = "SHEET_LOCKED";
+    throw error;
+  }
+
+  const job = {
+    id,
+    type,
+    params,
+    lockSheetId,
+    status: "running",
+    phase: "starting",
+    progress: {},
+    errors: [],
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    endedAt: null,
+    cancelRequestedAt: null,
+  };
+  loadJobs().unshift(job);
+  saveJobs();
+  console.log(`Started ${type} job ${job.id}`);
+
+  Promise.resolve()
+    .then(() => runner(createHandle(job)))
+    .then((result) => {
+      job.result = result;
+      job.status = job.errors.length > 0 ? "partial" : "succeeded";
+    })
+    .catch((error) => {
+      if (error.code === CANCELLED) {
+        job.status = "cancelled";
+      } else {
+        console.error(`Job ${job.id} failed:`, error);
+        job.status = "failed";
+        job.error = error.message;
+      }
+    })
+    .finally(() => {
+      if (lockSheetId) {
+        releaseSheetLock(lockSheetId, job.id);
+      }
+      job.phase = "done";
+      job.endedAt = new Date().toISOString();
+      saveJobs();
+      console.log(`Job ${job.id} ${job.status}`);
+    });
+
+  return job;
+}
+
+function getJob(id) {
+  return loadJobs().find((job) => job.id === id) || null;
+}
+
+// Jobs, newest first, optionally of one type
+function listJobs({ type = null, limit = JOB_LIMIT } = {}) {
+  return loadJobs()
+    .filter((job) => !type || job.type === type)
+    .slice(0, limit);
+}
+
+// Ask a running job to stop. Returns the job, or null if there is no such job.
+function cancelJob(id) {
+  const job = getJob(id);
+  if (job && job.status === "running" && !job.cancelRequestedAt) {
+    job.cancelRequestedAt = new Date().toISOString();
+    saveJobs();
+    console.log(`Cancelling job ${id}`);
+  }
+  return job;
+}
+
+module.exports = {
+  startJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  untrackedJob,
+  recoverJobs,
+};
@@ -0,0 +1,54 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+// Directory for local state (indexes, queues, sync times). Set DATA_DIR to
+// keep it somewhere else, e.g. on a mounted volume.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "../../data");
+
+function getDataFilePath(name) {
+  return path.join(DATA_DIR, name);
+}
+
+// Read a JSON file from the data directory, or return the fallback if it does not exist
+function readJsonFile(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(getDataFilePath(name), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(
+        `Error reading ${name} from data directory:`,
+        error.message
+      );
+    }
+    return fallback;
+  }
+}
+
+// Write a JSON file to the data directory. The file is written to a temporary
+// path first and renamed, so a crash never leaves a half-written file behind.
+function writeJsonFile(name, value) {
+  const filePath = getDataFilePath(name);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Remove a file from the data directory (missing files are ignored)
+function removeJsonFile(name) {
+  try {
+    fs.unlinkSync(getDataFilePath(name));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  readJsonFile,
+  writeJsonFile,
+  removeJsonFile,
+};
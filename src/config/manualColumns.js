@@ -0,0 +1,198 @@
+const { getSheetTabId, ensureSheetTab } = require("./googleSheets");
+const { getSheetSettings } = require("./syncSettings");
+const { getColumnIndex, quoteSheetName } = require("./columnMapping");
+
+// Columns to the right of the mapped ones belong to the people using the sheet
+// (e.g. reconciliation notes). A full export writes the rows in a new order,
+// so it carries these cells over to each task's new row, matched by Task ID,
+// with the relative row references of formulas moved along.
+// Cells of tasks that no longer get a row are appended to the orphan tab,
+// configured per sheet:
+//   "manualColumns": { "orphanSheetName": "Orphaned Notes" }
+const DEFAULT_MANUAL_COLUMN_SETTINGS = { orphanSheetName: "Orphaned Notes" };
+
+function getManualColumnSettings(spreadsheetId) {
+  return {
+    ...DEFAULT_MANUAL_COLUMN_SETTINGS,
+    ...(getSheetSettings(spreadsheetId).manualColumns || {}),
+  };
+}
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+// A1 cell references (e.g. H5, $H5, h$5, Sheet2!H5) in either case, as Sheets
+// accepts both, not preceded or followed by a name character, so function
+// names like LOG10( don't match
+const CELL_REFERENCE =
+  /(?<![A-Za-z0-9_.$])(\$?[A-Za-z]{1,3})(\$?)(\d+)(?![A-Za-z0-9_(])/g;
+
+// Move a formula's relative row references by rowOffset rows, as Sheets does
+// when a formula is copied to another row, so =H5 on a task's old row 5
+// becomes =H9 on its new row 9. Rows anchored with $ and text in double
+// quotes are left alone; references moved above row 1 become #REF!.
+function shiftFormulaRows(formula, rowOffset) {
+  if (rowOffset === 0) return formula;
+  return formula
+    .split(/("(?:[^"]|"")*")/)
+    .map((part, i) =>
+      // Odd parts are the quoted strings
+      i % 2 === 1
+        ? part
+        : part.replace(CELL_REFERENCE, (match, column, anchor, row) => {
+            if (anchor) return match;
+            const shifted = parseInt(row, 10) + rowOffset;
+            return shifted < 1 ? "#REF!" : `${column}${shifted}`;
+          })
+    )
+    .join("");
+}
+
+// A manual cell for a task's new row: formulas get their relative row
+// references moved along with the row
+function moveCell(value, rowOffset) {
+  return typeof value === "string" && value.startsWith("=")
+    ? shiftFormulaRows(value, rowOffset)
+    : value;
+}
+
+// Read the manual columns of the mapping's tab: { headers, entries } with one
+// entry ({ taskId, rowNumber, row, values, displayValues }) per row that has
+// something in them. values are the cells as typed (formulas stay formulas),
+// displayValues what they show.
+async function readManualColumns(sheets, spreadsheetId, mapping) {
+  try {
+    await getSheetTabId(sheets, spreadsheetId, mapping.sheetName);
+  } catch (error) {
+    // The tab doesn't exist yet, so there is nothing to carry over
+    if (error.message.startsWith(`Sheet "${mapping.sheetName}" not found`)) {
+      return { headers: [], entries: [] };
+    }
+    throw error;
+  }
+
+  const read = (valueRenderOption) =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: quoteSheetName(mapping.sheetName),
+      valueRenderOption,
+      dateTimeRenderOption: "FORMATTED_STRING",
+    });
+  const [formulas, formatted] = await Promise.all([
+    read("FORMULA"),
+    read("FORMATTED_VALUE"),
+  ]);
+  const rows = formulas.data.values || [];
+  const displayRows = formatted.data.values || [];
+
+  const start = mapping.columns.length;
+  const width = rows.reduce((max, row) => Math.max(max, row.length - start), 0);
+  const pad = (values) =>
+    Array.from({ length: width }, (_, i) =>
+      isEmpty(values[i]) ? "" : values[i]
+    );
+
+  const taskIdColumnIndex = getColumnIndex(mapping, "task.gid");
+  const entries = [];
+  rows.slice(1).forEach((row, i) => {
+    const values = pad(row.slice(start));
+    if (values.every(isEmpty)) return;
+    entries.push({
+      taskId: row[taskIdColumnIndex] || "",
+      // 1-based, after the header row
+      rowNumber: i + 2,
+      row,
+      values,
+      displayValues: pad((displayRows[i + 1] || []).slice(start)),
+    });
+  });
+
+  return { headers: pad((rows[0] || []).slice(start)), entries };
+}
+
+// Line the manual cells up with the new rows (headers first). Returns
+// { manualRows, orphans }: the manual cells of each new row, and the entries
+// whose task has no row any more. A task with several rows gets its old rows'
+// cells in order. Formulas have their row references moved with the row.
+function alignManualColumns(manual, rows, mapping) {
+  if (manual.headers.length === 0) {
+    return { manualRows: [], orphans: [] };
+  }
+
+  const byTaskId = new Map();
+  const orphans = [];
+  manual.entries.forEach((entry) => {
+    if (!entry.taskId) {
+      orphans.push(entry);
+      return;
+    }
+    if (!byTaskId.has(entry.taskId)) byTaskId.set(entry.taskId, []);
+    byTaskId.get(entry.taskId).push(entry);
+  });
+
+  const taskIdColumnIndex = getColumnIndex(mapping, "task.gid");
+  const blank = manual.headers.map(() => "");
+  const manualRows = rows.map((row, i) => {
+    if (i === 0) return manual.headers;
+    const entry = byTaskId.get(row[taskIdColumnIndex])?.shift();
+    if (!entry) return blank;
+    return entry.values.map((value) =>
+      moveCell(value, i + 1 - entry.rowNumber)
+    );
+  });
+
+  byTaskId.forEach((remaining) => orphans.push(...remaining));
+  return { manualRows, orphans };
+}
+
+// Append orphaned manual cells to the orphan tab, each batch under its own
+// header row (the manual columns can change between exports). Cells are saved
+// as they showed, since formulas would point at the wrong rows there. Returns
+// the number of rows appended.
+async function saveOrphans(sheets, spreadsheetId, mapping, manual, orphans) {
+  if (orphans.length === 0) return 0;
+
+  const { orphanSheetName } = getManualColumnSettings(spreadsheetId);
+  await ensureSheetTab(sheets, spreadsheetId, orphanSheetName);
+
+  const projectNameIndex = getColumnIndex(mapping, "project.name");
+  const taskNameIndex = getColumnIndex(mapping, "task.name");
+  const orphanedAt = new Date().toISOString();
+  const cell = (row, index) => (index === -1 ? "" : row[index] || "");
+
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${quoteSheetName(orphanSheetName)}!A1`,
+    valueInputOption: "RAW",
+    insertDataOption: "INSERT_ROWS",
+    resource: {
+      values: [
+        [
+          "Orphaned At",
+          "Task ID",
+          "Task Name",
+          "Project Name",
+          ...manual.headers,
+        ],
+        ...orphans.map(({ taskId, row, displayValues }) => [
+          orphanedAt,
+          taskId,
+          cell(row, taskNameIndex),
+          cell(row, projectNameIndex),
+          ...displayValues,
+        ]),
+      ],
+    },
+  });
+  console.log(
+    `Moved the manual cells of ${orphans.length} rows without a task to the ${orphanSheetName} tab`
+  );
+  return orphans.length;
+}
+
+module.exports = {
+  shiftFormulaRows,
+  readManualColumns,
+  alignManualColumns,
+  saveOrphans,
+};
@@ -0,0 +1,110 @@
+const { ensureSheetTab } = require("./googleSheets");
+const { getSheetSettings } = require("./syncSettings");
+const {
+  getHeaders,
+  getColumnIndex,
+  columnLetter,
+  quoteSheetName,
+  getSheetRange,
+} = require("./columnMapping");
+const { deleteRows } = require("./projectRows");
+
+// What happens to the row of a task that no longer matches the sheet's row
+// rules, configured per sheet:
+//   "nonMatching": { "mode": "keep" | "mark" | "delete" | "move", "sheetName": "Removed" }
+// "keep" keeps updating the row, "mark" does too and expects a column mapped
+// to "row.status" (Active/Excluded), "delete" deletes the row and "move" moves
+// it to the Removed tab. A task that matches again gets its row back in the
+// main tab (and, with "move", leaves the Removed tab).
+const DEFAULT_NON_MATCHING_SETTINGS = { mode: "keep", sheetName: "Removed" };
+
+function getNonMatchingSettings(spreadsheetId) {
+  return {
+    ...DEFAULT_NON_MATCHING_SETTINGS,
+    ...(getSheetSettings(spreadsheetId).nonMatching || {}),
+  };
+}
+
+// Whether rows of tasks that no longer match are taken out of the main tab
+function removesNonMatchingRows(spreadsheetId) {
+  const { mode } = getNonMatchingSettings(spreadsheetId);
+  return mode === "delete" || mode === "move";
+}
+
+function getRemovedMapping(mapping, settings) {
+  return { ...mapping, sheetName: settings.sheetName };
+}
+
+// Copy rows of tasks that no longer match to the Removed tab, when the sheet
+// moves them there. The caller deletes them from the main tab, together with
+// any other rows it deletes. rows are [{ values }].
+async function copyToRemovedTab(sheets, spreadsheetId, mapping, rows) {
+  const settings = getNonMatchingSettings(spreadsheetId);
+  if (settings.mode !== "move" || rows.length === 0) return;
+
+  await ensureSheetTab(
+    sheets,
+    spreadsheetId,
+    settings.sheetName,
+    getHeaders(mapping)
+  );
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: getSheetRange(getRemovedMapping(mapping, settings)),
+    valueInputOption: "RAW",
+    insertDataOption: "INSERT_ROWS",
+    resource: {
+      values: rows.map(({ values }) => values),
+    },
+  });
+  console.log(
+    `Copied ${rows.length} rows that no longer match to the ${settings.sheetName} tab`
+  );
+}
+
+// Delete the Removed tab rows of tasks that match again (they get a fresh row
+// in the main tab). Returns the number of rows deleted.
+async function releaseRemovedRows(sheets, spreadsheetId, mapping, taskIds) {
+  const settings = getNonMatchingSettings(spreadsheetId);
+  if (settings.mode !== "move" || taskIds.length === 0) return 0;
+
+  const removedMapping = getRemovedMapping(mapping, settings);
+  await ensureSheetTab(
+    sheets,
+    spreadsheetId,
+    settings.sheetName,
+    getHeaders(mapping)
+  );
+
+  const column = columnLetter(getColumnIndex(mapping, "task.gid"));
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${quoteSheetName(settings.sheetName)}!${column}:${column}`,
+  });
+  const rowIndexes = [];
+  (response.data.values || []).forEach((row, i) => {
+    if (i > 0 && taskIds.includes(row[0])) {
+      rowIndexes.push(i + 1);
+    }
+  });
+
+  const released = await deleteRows(
+    sheets,
+    spreadsheetId,
+    removedMapping,
+    rowIndexes
+  );
+  if (released > 0) {
+    console.log(
+      `Took ${released} rows that match again out of the ${settings.sheetName} tab`
+    );
+  }
+  return released;
+}
+
+module.exports = {
+  getNonMatchingSettings,
+  removesNonMatchingRows,
+  copyToRemovedTab,
+  releaseRemovedRows,
+};
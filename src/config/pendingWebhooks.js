@@ -0,0 +1,69 @@
+const axios = require("axios");
+const { getAdminHeaders } = require("./adminToken");
+
+// Webhook creations in progress, so /receiveWebhook only accepts the handshake
+// of a webhook we are creating: anyone can send a handshake, and accepting it
+// would replace the resource's stored secret. Asana runs the handshake before
+// it answers the create request, so whoever creates a webhook (a script on
+// another machine, or the server itself) first announces it to the server
+// behind the target URL, at <target path>/pending with the target's query,
+// authenticated with the admin token (see adminToken.js). The server keeps
+// the announcements in memory.
+const PENDING_TTL_MS = 2 * 60 * 1000;
+const ANNOUNCE_TIMEOUT_MS = 10000;
+
+// Announced creations: key -> time of the announcement
+const pending = new Map();
+
+function getKey(resourceId, spreadsheetId) {
+  return `${resourceId}:${spreadsheetId}`;
+}
+
+// Record that a webhook on resourceId, writing to spreadsheetId, is being
+// created
+function markWebhookPending(resourceId, spreadsheetId) {
+  const now = Date.now();
+  pending.forEach((startedAt, key) => {
+    if (now - startedAt >= PENDING_TTL_MS) pending.delete(key);
+  });
+  pending.set(getKey(resourceId, spreadsheetId), now);
+}
+
+// Use up the pending creation of a handshake. Returns false if there is none,
+// in which case the handshake must be rejected.
+function takePendingWebhook(resourceId, spreadsheetId) {
+  const key = getKey(resourceId, spreadsheetId);
+  const startedAt = pending.get(key);
+  pending.delete(key);
+  return startedAt !== undefined && Date.now() - startedAt < PENDING_TTL_MS;
+}
+
+// The announcement URL for a project webhook's target URL (which carries the
+// sheetId and resource)
+function getAnnounceUrl(projectTargetUrl) {
+  const url = new URL(projectTargetUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, "")}/pending`;
+  return url.toString();
+}
+
+// Tell the server behind a project webhook's target URL that its handshake is
+// coming. Throws if the server doesn't take it, as the handshake would fail.
+async function announcePendingWebhook(projectTargetUrl) {
+  try {
+    await axios.post(getAnnounceUrl(projectTargetUrl), null, {
+      headers: getAdminHeaders(),
+      timeout: ANNOUNCE_TIMEOUT_MS,
+    });
+  } catch (error) {
+    const reason =
+      error.response?.data?.message || error.response?.status || error.message;
+    throw new Error(`The server didn't accept the webhook creation: ${reason}`);
+  }
+}
+
+module.exports = {
+  markWebhookPending,
+  takePendingWebhook,
+  getAnnounceUrl,
+  announcePendingWebhook,
+};
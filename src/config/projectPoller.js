@@ -0,0 +1,135 @@
+const { readJsonFile, writeJsonFile } = require("./localStore");
+const { describeAsanaError } = require("./asanaHttp");
+const { getProjectTargetUrl, getWebhookTargetUrl } = require("./asanaWebhooks");
+const {
+  getWebhookTargets,
+  loadWebhookState,
+  planWebhookSync,
+  applyWebhookSync,
+} = require("./webhookSync");
+
+// Polls the workspaces of the webhookTargets settings for projects without a
+// webhook (e.g. newly created ones) and registers one for them. Only creates
+// webhooks; stale ones are left to `npm run webhooks -- sync`.
+//
+// Set PROJECT_POLL_INTERVAL_MS to enable it. Registrations are recorded in the
+// data directory.
+const POLL_INTERVAL_MS = parseInt(
+  process.env.PROJECT_POLL_INTERVAL_MS || "0",
+  10
+);
+const REGISTRATIONS_FILE = "webhook-registrations.json";
+const MAX_REGISTRATIONS = 200;
+
+let polling = false;
+let pollTimer = null;
+let lastPoll = null;
+
+function listRegistrations() {
+  return readJsonFile(REGISTRATIONS_FILE, []);
+}
+
+function recordRegistrations(createdWebhooks) {
+  const registrations = createdWebhooks.map(
+    ({ project, targetUrl, webhook }) => ({
+      projectId: project.gid,
+      projectName: project.name,
+      webhookId: webhook.gid,
+      targetUrl,
+      registeredAt: new Date().toISOString(),
+    })
+  );
+  writeJsonFile(
+    REGISTRATIONS_FILE,
+    [...registrations, ...listRegistrations()].slice(0, MAX_REGISTRATIONS)
+  );
+}
+
+// Register webhooks for the projects that have none on a target. A project
+// whose webhook is only inactive or outdated is left to sync, which replaces
+// it. Returns { checkedAt, registered, failed }.
+async function pollProjects() {
+  if (polling) {
+    return { skipped: true };
+  }
+  polling = true;
+
+  try {
+    const targets = getWebhookTargets();
+    const plan = planWebhookSync(
+      await loadWebhookState(targets, {
+        workspaceId: process.env.ASANA_WORKSPACE_ID,
+      })
+    );
+
+    const hasWebhook = new Set(
+      plan.remove.map(({ webhook }) =>
+        getProjectTargetUrl(
+          getWebhookTargetUrl(webhook.target),
+          webhook.resource?.gid
+        )
+      )
+    );
+    const create = plan.create.filter(
+      ({ project, targetUrl }) =>
+        !hasWebhook.has(getProjectTargetUrl(targetUrl, project.gid))
+    );
+    if (create.length > 0) {
+      console.log(`Registering webhooks for ${create.length} new projects`);
+    }
+
+    const counts = await applyWebhookSync({ create, remove: [] });
+    if (counts.createdWebhooks.length > 0) {
+      recordRegistrations(counts.createdWebhooks);
+    }
+
+    lastPoll = {
+      checkedAt: new Date().toISOString(),
+      registered: counts.created,
+      failed: counts.failed,
+    };
+    return lastPoll;
+  } finally {
+    polling = false;
+  }
+}
+
+function schedulePoll() {
+  pollTimer = setTimeout(() => {
+    pollProjects()
+      .catch((error) => {
+        console.error(
+          "Error polling for new projects:",
+          describeAsanaError(error)
+        );
+      })
+      .finally(schedulePoll);
+  }, POLL_INTERVAL_MS);
+}
+
+// Start polling, if PROJECT_POLL_INTERVAL_MS and webhookTargets are set
+function startProjectPoller() {
+  if (pollTimer || POLL_INTERVAL_MS <= 0) return;
+  if (getWebhookTargets().length === 0) {
+    console.log("Project poller not started: no webhookTargets in settings");
+    return;
+  }
+
+  console.log(`Polling for new projects every ${POLL_INTERVAL_MS}ms`);
+  schedulePoll();
+}
+
+function getPollerStatus() {
+  return {
+    enabled: pollTimer !== null,
+    intervalMs: POLL_INTERVAL_MS,
+    lastPoll,
+  };
+}
+
+module.exports = {
+  pollProjects,
+  startProjectPoller,
+  getPollerStatus,
+  listRegistrations,
+};
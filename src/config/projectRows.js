@@ -0,0 +1,293 @@
+const { getSheetTabId, ensureSheetTab } = require("./googleSheets");
+const { getSheetSettings } = require("./syncSettings");
+const {
+  getColumnMapping,
+  getHeaders,
+  getColumnIndex,
+  columnLetter,
+  quoteSheetName,
+  getSheetRange,
+} = require("./columnMapping");
+const taskRowIndex = require("./taskRowIndex");
+
+// Project-level changes applied to every row of a project at once: renames,
+// archiving and removal.
+
+// What happens to the rows of an archived project, configured per sheet:
+//   "archivedProjects": { "mode": "move" | "flag" | "keep", "sheetName": "Archived" }
+// "move" moves the rows to the Archived tab (and back when the project is
+// unarchived), "flag" sets the column mapped to "project.archived", "keep"
+// (the default) leaves the rows alone.
+const DEFAULT_ARCHIVE_SETTINGS = { mode: "keep", sheetName: "Archived" };
+
+function getArchiveSettings(spreadsheetId) {
+  return {
+    ...DEFAULT_ARCHIVE_SETTINGS,
+    ...(getSheetSettings(spreadsheetId).archivedProjects || {}),
+  };
+}
+
+// Get the rows of a project in a tab laid out by the mapping, as
+// { rowIndex, values } (rowIndex is 1-indexed)
+async function getProjectRows(sheets, spreadsheetId, mapping, projectId) {
+  const projectIdColumnIndex = getColumnIndex(mapping, "project.gid");
+  if (projectIdColumnIndex === -1) {
+    console.log("Column mapping has no Project ID column - skipping");
+    return [];
+  }
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: getSheetRange(mapping),
+  });
+  const rows = response.data.values || [];
+
+  const projectRows = [];
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i] && rows[i][projectIdColumnIndex] === projectId) {
+      projectRows.push({ rowIndex: i + 1, values: rows[i] });
+    }
+  }
+  return projectRows;
+}
+
+// Delete rows from a tab in one batchUpdate. Rows are deleted from the bottom
+// up so deleting one doesn't shift the ones still to delete.
+async function deleteRows(sheets, spreadsheetId, mapping, rowIndexes) {
+  if (rowIndexes.length === 0) return 0;
+
+  const sorted = [...rowIndexes].sort((a, b) => b - a);
+  const sheetId = await getSheetTabId(sheets, spreadsheetId, mapping.sheetName);
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: sorted.map((rowIndex) => ({
+        deleteDimension: {
+          range: {
+            sheetId,
+            dimension: "ROWS",
+            startIndex: rowIndex - 1,
+            endIndex: rowIndex,
+          },
+        },
+      })),
+    },
+  });
+
+  sorted.forEach((rowIndex) =>
+    taskRowIndex.recordDelete(spreadsheetId, mapping, rowIndex)
+  );
+  return sorted.length;
+}
+
+// Delete every row that belongs to a project. Returns the number of rows deleted.
+async function deleteProjectRows(sheets, spreadsheetId, projectId) {
+  const mapping = await getColumnMapping(sheets, spreadsheetId);
+  const projectRows = await getProjectRows(
+    sheets,
+    spreadsheetId,
+    mapping,
+    projectId
+  );
+
+  const deleted = await deleteRows(
+    sheets,
+    spreadsheetId,
+    mapping,
+    projectRows.map(({ rowIndex }) => rowIndex)
+  );
+  console.log(`Deleted ${deleted} rows for project ${projectId}`);
+  return deleted;
+}
+
+// Write one column of the given rows in a single values.batchUpdate
+async function writeColumn(sheets, spreadsheetId, mapping, columnIndex, rows) {
+  if (rows.length === 0) return;
+
+  const column = columnLetter(columnIndex);
+  const sheetName = quoteSheetName(mapping.sheetName);
+
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId,
+    resource: {
+      valueInputOption: "RAW",
+      data: rows.map(({ rowIndex, value }) => ({
+        range: `${sheetName}!${column}${rowIndex}`,
+        values: [[value]],
+      })),
+    },
+  });
+}
+
+// Set the Project Name column of every row of a project. Returns the number
+// of rows changed.
+async function updateProjectNameRows(sheets, spreadsheetId, projectId, name) {
+  const mapping = await getColumnMapping(sheets, spreadsheetId);
+  const projectNameColumnIndex = getColumnIndex(mapping, "project.name");
+  if (projectNameColumnIndex === -1) {
+    console.log("Column mapping has no Project Name column - skipping");
+    return 0;
+  }
+
+  const projectRows = await getProjectRows(
+    sheets,
+    spreadsheetId,
+    mapping,
+    projectId
+  );
+  const renamed = projectRows
+    .filter(({ values }) => values[projectNameColumnIndex] !== name)
+    .map(({ rowIndex }) => ({ rowIndex, value: name }));
+
+  await writeColumn(
+    sheets,
+    spreadsheetId,
+    mapping,
+    projectNameColumnIndex,
+    renamed
+  );
+  console.log(
+    `Renamed project ${projectId} to "${name}" in ${renamed.length} rows`
+  );
+  return renamed.length;
+}
+
+// Move a project's rows from one tab to another (same column layout)
+async function moveProjectRows(sheets, spreadsheetId, from, to, projectId) {
+  const projectRows = await getProjectRows(
+    sheets,
+    spreadsheetId,
+    from,
+    projectId
+  );
+  if (projectRows.length === 0) return 0;
+
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: getSheetRange(to),
+    valueInputOption: "RAW",
+    insertDataOption: "INSERT_ROWS",
+    resource: {
+      values: projectRows.map(({ values }) => values),
+    },
+  });
+  await deleteRows(
+    sheets,
+    spreadsheetId,
+    from,
+    projectRows.map(({ rowIndex }) => rowIndex)
+  );
+
+  // Rows appended to the main tab land at the bottom; rebuild its index
+  if (to.sheetName !== from.sheetName) {
+    taskRowIndex.invalidateIndex(spreadsheetId);
+  }
+  return projectRows.length;
+}
+
+async function hasTab(sheets, spreadsheetId, sheetName) {
+  try {
+    await getSheetTabId(sheets, spreadsheetId, sheetName);
+    return true;
+  } catch (error) {
+    if (error.message.startsWith(`Sheet "${sheetName}" not found`)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Apply a project's archived state to its rows, following the sheet's archive
+// settings. Returns the number of rows changed.
+async function setProjectArchived(sheets, spreadsheetId, projectId, archived) {
+  const settings = getArchiveSettings(spreadsheetId);
+  const mapping = await getColumnMapping(sheets, spreadsheetId);
+
+  switch (settings.mode) {
+    case "move": {
+      const archiveMapping = { ...mapping, sheetName: settings.sheetName };
+      if (archived) {
+        await ensureSheetTab(
+          sheets,
+          spreadsheetId,
+          settings.sheetName,
+          getHeaders(mapping)
+        );
+      } else if (!(await hasTab(sheets, spreadsheetId, settings.sheetName))) {
+        // Nothing was ever archived, so there is nothing to move back
+        return 0;
+      }
+
+      const moved = archived
+        ? await moveProjectRows(
+            sheets,
+            spreadsheetId,
+            mapping,
+            archiveMapping,
+            projectId
+          )
+        : await moveProjectRows(
+            sheets,
+            spreadsheetId,
+            archiveMapping,
+            mapping,
+            projectId
+          );
+      console.log(
+        `Moved ${moved} rows of project ${projectId} ${
+          archived ? "to" : "back from"
+        } the ${settings.sheetName} tab`
+      );
+      return moved;
+    }
+
+    case "flag": {
+      const flagColumnIndex = getColumnIndex(mapping, "project.archived");
+      if (flagColumnIndex === -1) {
+        console.log(
+          'Archive mode is "flag" but the mapping has no "project.archived" column - skipping'
+        );
+        return 0;
+      }
+
+      const value = archived ? "Yes" : "No";
+      const projectRows = await getProjectRows(
+        sheets,
+        spreadsheetId,
+        mapping,
+        projectId
+      );
+      const flagged = projectRows
+        .filter(({ values }) => values[flagColumnIndex] !== value)
+        .map(({ rowIndex }) => ({ rowIndex, value }));
+
+      await writeColumn(
+        sheets,
+        spreadsheetId,
+        mapping,
+        flagColumnIndex,
+        flagged
+      );
+      console.log(
+        `Flagged ${flagged.length} rows of project ${projectId} as archived: ${value}`
+      );
+      return flagged.length;
+    }
+
+    default:
+      console.log(
+        `Archive mode is "${settings.mode}" - leaving rows of project ${projectId} alone`
+      );
+      return 0;
+  }
+}
+
+module.exports = {
+  getArchiveSettings,
+  getProjectRows,
+  deleteRows,
+  deleteProjectRows,
+  updateProjectNameRows,
+  setProjectArchived,
+};
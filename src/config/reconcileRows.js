@@ -0,0 +1,108 @@
+const { getColumnIndex } = require("./columnMapping");
+
+// The comparison behind the reconciliation (see reconcileController.js): the
+// rows expected from Asana against the rows in the sheet, by Task ID.
+
+// Sheet cells come back unformatted, so compare values as strings
+function cellsDiffer(expected, actual) {
+  return expected.some((value, i) => String(value) !== String(actual[i] ?? ""));
+}
+
+// Compare the sheet's rows (headers first) with the expected ones.
+//   expected:  Map of task ID -> row of the tasks that get a row
+//   keptRows:  Map of task ID -> row of tasks that don't match the row rules
+//              but whose rows the sheet keeps (checked only if they have one)
+//   allTaskIds: every task found in Asana, matching or not
+//   projectId: when reconciling one project, other projects' rows are left
+//              alone
+//   archivedProjectIds, keepsArchivedRows: rows of archived projects are
+//              skipped when the sheet keeps them in the main tab
+// Returns { report: { missing, stale, orphaned, duplicates },
+// archivedRowsSkipped, expectedRows } with 1-based row indexes.
+function compareRows({
+  mapping,
+  rows,
+  expected,
+  keptRows = new Map(),
+  allTaskIds,
+  projectId = null,
+  archivedProjectIds = new Set(),
+  keepsArchivedRows = false,
+}) {
+  const taskIdColumnIndex = getColumnIndex(mapping, "task.gid");
+  const projectIdColumnIndex = getColumnIndex(mapping, "project.gid");
+  const checked = new Map(expected);
+  const sheetRows = new Map();
+  let archivedRowsSkipped = 0;
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const taskId = String(row[taskIdColumnIndex] ?? "");
+    if (!taskId) continue;
+    if (
+      projectId &&
+      !expected.has(taskId) &&
+      !keptRows.has(taskId) &&
+      String(row[projectIdColumnIndex] ?? "") !== projectId
+    ) {
+      continue;
+    }
+    if (
+      keepsArchivedRows &&
+      !expected.has(taskId) &&
+      !keptRows.has(taskId) &&
+      archivedProjectIds.has(String(row[projectIdColumnIndex] ?? ""))
+    ) {
+      archivedRowsSkipped++;
+      continue;
+    }
+
+    if (!sheetRows.has(taskId)) sheetRows.set(taskId, []);
+    sheetRows.get(taskId).push({ rowIndex: i + 1, values: row });
+  }
+
+  // Kept rows of tasks that don't match are checked like expected rows
+  keptRows.forEach((values, taskId) => {
+    if (sheetRows.has(taskId)) checked.set(taskId, values);
+  });
+
+  const report = {
+    missing: [],
+    stale: [],
+    orphaned: [],
+    duplicates: [],
+  };
+
+  checked.forEach((values, taskId) => {
+    const found = sheetRows.get(taskId);
+    if (!found) {
+      report.missing.push({ taskId, values });
+    } else if (cellsDiffer(values, found[0].values)) {
+      report.stale.push({ taskId, rowIndex: found[0].rowIndex, values });
+    }
+  });
+
+  sheetRows.forEach((found, taskId) => {
+    if (!checked.has(taskId)) {
+      found.forEach(({ rowIndex, values }) =>
+        report.orphaned.push({
+          taskId,
+          rowIndex,
+          reason: allTaskIds.has(taskId) ? "not-included" : "not-found",
+          values,
+        })
+      );
+    } else if (found.length > 1) {
+      report.duplicates.push({
+        taskId,
+        rowIndexes: found.map(({ rowIndex }) => rowIndex),
+      });
+    }
+  });
+
+  return { report, archivedRowsSkipped, expectedRows: checked.size };
+}
+
+module.exports = {
+  compareRows,
+};
@@ -0,0 +1,100 @@
+const { getSheetSettings } = require("./syncSettings");
+const { getCustomFieldValues } = require("./columnMapping");
+
+// Rules deciding which tasks get a row, configured per sheet:
+//
+//   "rules": {
+//     "include": [{ "completed": true }, { "assignee": ["Manager"] }],
+//     "exclude": [{ "tag": "private" }]
+//   }
+//
+// A task gets a row when it matches at least one include rule and no exclude
+// rule. All conditions of a rule must match:
+//   completed:    true / false
+//   assignee:     assignee name(s); null matches unassigned tasks
+//   section:      section name(s) the task is in
+//   tag:          tag name(s), the task needs one of them
+//   projectName:  regular expression tested against the project name
+//   customFields: { "<field name>": value(s) }
+// The webhook handler, the exports, the sync and the reconciliation all use
+// these rules, so they agree on which tasks belong in a sheet.
+const DEFAULT_RULES = {
+  include: [
+    { completed: true },
+    { assignee: ["Manager", "Withdrawals", "Withdraws"] },
+  ],
+  exclude: [],
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const CONDITIONS = {
+  completed: (expected, task) => Boolean(task.completed) === expected,
+
+  assignee: (expected, task) =>
+    toList(expected).includes(task.assignee?.name ?? null),
+
+  section: (expected, task) =>
+    (task.memberships || []).some((membership) =>
+      toList(expected).includes(membership.section?.name)
+    ),
+
+  tag: (expected, task) =>
+    (task.tags || []).some((tag) => toList(expected).includes(tag.name)),
+
+  projectName: (expected, task, context) => {
+    const projectName =
+      context.projectName ?? task.memberships?.[0]?.project?.name ?? "";
+    return new RegExp(expected, "i").test(projectName);
+  },
+
+  customFields: (expected, task) => {
+    const fieldNames = Object.keys(expected);
+    const values = getCustomFieldValues(task, fieldNames);
+    return fieldNames.every((name) =>
+      toList(expected[name])
+        .map(String)
+        .includes(String(values[name] ?? ""))
+    );
+  },
+};
+
+// Get the row rules of a spreadsheet (the built-in rules when none are set)
+function getRowRules(spreadsheetId) {
+  const rules = getSheetSettings(spreadsheetId).rules;
+  if (!rules) {
+    return DEFAULT_RULES;
+  }
+  return {
+    include: rules.include || DEFAULT_RULES.include,
+    exclude: rules.exclude || [],
+  };
+}
+
+// Whether a task matches every condition of a rule. context.projectName is the
+// project the row is written for (defaults to the task's first project).
+function matchesRule(rule, task, context = {}) {
+  return Object.entries(rule).every(([condition, expected]) => {
+    const check = CONDITIONS[condition];
+    if (!check) {
+      throw new Error(`Unknown condition "${condition}" in row rule`);
+    }
+    return check(expected, task, context);
+  });
+}
+
+// Whether a task gets a row in a spreadsheet
+function qualifiesForSheet(spreadsheetId, task, context = {}) {
+  const rules = getRowRules(spreadsheetId);
+  return (
+    rules.include.some((rule) => matchesRule(rule, task, context)) &&
+    !rules.exclude.some((rule) => matchesRule(rule, task, context))
+  );
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  getRowRules,
+  matchesRule,
+  qualifiesForSheet,
+};
@@ -0,0 +1,215 @@
+const crypto = require("node:crypto");
+const { readJsonFile, writeJsonFile } = require("./localStore");
+const { getSettingsSection } = require("./syncSettings");
+const { getLastSync } = require("./syncState");
+const { parseCron, getNextRun } = require("./cronSchedule");
+const {
+  acquireSheetLock,
+  releaseSheetLock,
+  getSheetLock,
+} = require("./sheetLocks");
+
+// Scheduled exports and syncs of workspace/sheet pairs, configured in the
+// settings file:
+//
+//   "schedules": [
+//     {
+//       "name": "nightly-export",
+//       "workspaceId": "1205846480740952",
+//       "sheetId": "...",
+//       "cron": "0 2 * * *",
+//       "mode": "export",
+//       "enabled": true
+//     }
+//   ]
+//
+// "export" (default) rewrites the sheet, "sync" applies the changes since the
+// last export or sync (and exports a sheet that was never synced). Runs of one
+// sheet never overlap: a run holds the sheet's lock (see sheetLocks.js), and
+// a run that finds the lock taken is skipped. Every run is recorded in the
+// history.
+const HISTORY_FILE = "scheduler-history.json";
+const HISTORY_LIMIT = parseInt(
+  process.env.SCHEDULER_HISTORY_LIMIT || "200",
+  10
+);
+// Check the schedules at least this often, as long timers are unreliable
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+let runners = null;
+let schedulerTimer = null;
+const nextRuns = new Map();
+
+function getSchedules() {
+  return getSettingsSection("schedules", []).map((schedule) => ({
+    mode: "export",
+    enabled: true,
+    ...schedule,
+  }));
+}
+
+function getSchedule(name) {
+  return getSchedules().find((schedule) => schedule.name === name) || null;
+}
+
+// Runs, newest first, optionally of one job
+function listRuns({ job = null, limit = HISTORY_LIMIT } = {}) {
+  return readJsonFile(HISTORY_FILE, [])
+    .filter((run) => !job || run.job === job)
+    .slice(0, limit);
+}
+
+function getRun(id) {
+  return readJsonFile(HISTORY_FILE, []).find((run) => run.id === id) || null;
+}
+
+function saveRun(run) {
+  const history = readJsonFile(HISTORY_FILE, []);
+  const index = history.findIndex((entry) => entry.id === run.id);
+  if (index >= 0) {
+    history[index] = run;
+  } else {
+    history.unshift(run);
+  }
+  writeJsonFile(HISTORY_FILE, history.slice(0, HISTORY_LIMIT));
+}
+
+async function executeRun(schedule, run) {
+  const lastSync = getLastSync(schedule.sheetId);
+  const options = {
+    workspaceId: schedule.workspaceId,
+    spreadsheetId: schedule.sheetId,
+  };
+
+  try {
+    if (schedule.mode === "sync" && lastSync) {
+      run.ranAs = "sync";
+      run.result = await runners.sync({
+        ...options,
+        since: lastSync.lastSyncedAt,
+      });
+    } else {
+      run.ranAs = "export";
+      run.result = await runners.export(options);
+    }
+    run.status = run.result.errors?.length > 0 ? "partial" : "succeeded";
+  } catch (error) {
+    console.error(`Scheduled job ${schedule.name} failed:`, error);
+    run.status = "failed";
+    run.error = error.message;
+  } finally {
+    run.endedAt = new Date().toISOString();
+    releaseSheetLock(schedule.sheetId, run.id);
+    saveRun(run);
+    console.log(`Job ${schedule.name} ${run.status} (run ${run.id})`);
+  }
+  return run;
+}
+
+// Start a run of a job. Returns { run, done }: the run as recorded when it
+// started (status "running", or "skipped" if the sheet is locked) and a
+// promise of the finished run.
+function startRun(schedule, trigger = "manual") {
+  if (!runners) {
+    throw new Error("The scheduler has not been started");
+  }
+
+  const run = {
+    id: crypto.randomUUID(),
+    job: schedule.name,
+    trigger,
+    mode: schedule.mode,
+    workspaceId: schedule.workspaceId,
+    sheetId: schedule.sheetId,
+    status: "running",
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    result: null,
+    error: null,
+  };
+
+  if (!acquireSheetLock(schedule.sheetId, run.id, `job ${schedule.name}`)) {
+    run.status = "skipped";
+    run.endedAt = run.startedAt;
+    run.error = `Sheet ${schedule.sheetId} is locked by ${
+      getSheetLock(schedule.sheetId)?.description || "another run"
+    }`;
+    saveRun(run);
+    console.log(`Skipped job ${schedule.name}: ${run.error}`);
+    return { run, done: Promise.resolve(run) };
+  }
+
+  saveRun(run);
+  console.log(`Starting job ${schedule.name} (run ${run.id}, ${trigger})`);
+  return { run: { ...run }, done: executeRun(schedule, run) };
+}
+
+// Start the due jobs and wait for the next one
+function checkSchedules() {
+  schedulerTimer = null;
+  const now = new Date();
+
+  for (const schedule of getSchedules()) {
+    const nextRun = nextRuns.get(schedule.name);
+    if (!nextRun || nextRun > now) continue;
+
+    startRun(schedule, "schedule").done.catch((error) => {
+      console.error(`Error running job ${schedule.name}:`, error);
+    });
+    nextRuns.set(schedule.name, getNextRun(parseCron(schedule.cron), now));
+  }
+
+  const upcoming = [...nextRuns.values()].filter(Boolean);
+  if (upcoming.length === 0) return;
+  const waitMs = Math.min(...upcoming.map((date) => date - Date.now()));
+  schedulerTimer = setTimeout(
+    checkSchedules,
+    Math.min(Math.max(waitMs, 0), MAX_TIMER_MS)
+  );
+}
+
+// Start the scheduler. jobRunners are { export, sync }, the functions that do
+// the work: export({ workspaceId, spreadsheetId }) and
+// sync({ workspaceId, spreadsheetId, since }), each returning a summary with
+// an errors array.
+function startScheduler(jobRunners) {
+  runners = jobRunners;
+  if (schedulerTimer) return;
+
+  for (const schedule of getSchedules()) {
+    if (!schedule.enabled) continue;
+    try {
+      nextRuns.set(schedule.name, getNextRun(parseCron(schedule.cron)));
+    } catch (error) {
+      console.error(`Job ${schedule.name} not scheduled: ${error.message}`);
+    }
+  }
+
+  if (nextRuns.size > 0) {
+    console.log(`Scheduled ${nextRuns.size} jobs`);
+    checkSchedules();
+  }
+}
+
+// The jobs with their next and last runs
+function getScheduleStatus() {
+  return getSchedules().map((schedule) => {
+    const lastRun = listRuns({ job: schedule.name, limit: 1 })[0] || null;
+    return {
+      ...schedule,
+      nextRunAt: nextRuns.get(schedule.name)?.toISOString() || null,
+      running:
+        !!lastRun && getSheetLock(schedule.sheetId)?.ownerId === lastRun.id,
+      lastRun,
+    };
+  });
+}
+
+module.exports = {
+  startScheduler,
+  startRun,
+  getSchedule,
+  getScheduleStatus,
+  listRuns,
+  getRun,
+};
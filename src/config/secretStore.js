@@ -0,0 +1,202 @@
+const crypto = require("node:crypto");
+const { readJsonFile, writeJsonFile } = require("./localStore");
+
+// Store for webhook secrets, keyed by spreadsheet ID:
+//   { "<spreadsheetId>": [{ webhookId, resourceId, secret, storedAt }] }
+//
+// SECRET_STORE picks the backend:
+//   "file" (default): an AES-256-GCM encrypted file in the data directory
+//   "env": an encrypted envelope in the WEBHOOK_SECRETS environment variable,
+//          decrypted through a key-management service (KMS). Secrets from new
+//          handshakes are kept in the server's memory until WEBHOOK_SECRETS
+//          is updated with the envelope from GET /api/webhooks/secrets/export.
+// Both use WEBHOOK_SECRETS_KEY (32 bytes, base64 or hex) locally. Secret
+// values are never logged.
+const STORE_TYPE = process.env.SECRET_STORE || "file";
+const SECRETS_FILE = "webhook-secrets.json";
+const CIPHER = "aes-256-gcm";
+
+function getKey() {
+  const raw = process.env.WEBHOOK_SECRETS_KEY;
+  if (!raw) {
+    throw new Error("WEBHOOK_SECRETS_KEY is not set");
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw)
+    ? Buffer.from(raw, "hex")
+    : Buffer.from(raw, "base64");
+  if (key.length !== 32) {
+    throw new Error("WEBHOOK_SECRETS_KEY must be 32 bytes (base64 or hex)");
+  }
+  return key;
+}
+
+// Encrypt a value into a JSON-safe envelope
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, getKey(), iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    version: 1,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decrypt(envelope) {
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    getKey(),
+    Buffer.from(envelope.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  const data = Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, "base64")),
+    decipher.final(),
+  ]);
+  return JSON.parse(data.toString("utf8"));
+}
+
+// Local stand-in for a KMS. A real one (AWS KMS, Cloud KMS, ...) replaces
+// these two functions with calls to its encrypt/decrypt API.
+const localKms = {
+  encrypt: async (value) => encrypt(value),
+  decrypt: async (envelope) => decrypt(envelope),
+};
+
+const fileBackend = {
+  read: async () => {
+    const envelope = readJsonFile(SECRETS_FILE, null);
+    return envelope ? decrypt(envelope) : {};
+  },
+  write: async (data) => {
+    writeJsonFile(SECRETS_FILE, encrypt(data));
+  },
+};
+
+function createEnvBackend(kms) {
+  let inMemory = null;
+
+  return {
+    read: async () => {
+      if (inMemory) return inMemory;
+      const value = process.env.WEBHOOK_SECRETS;
+      return value ? await kms.decrypt(JSON.parse(value)) : {};
+    },
+    write: async (data) => {
+      inMemory = data;
+      console.warn(
+        "Webhook secrets changed. They are kept in memory only; update WEBHOOK_SECRETS with the output of `npm run webhook-secrets -- export --server <url>` before the server restarts."
+      );
+    },
+  };
+}
+
+const backends = {
+  file: fileBackend,
+  env: createEnvBackend(localKms),
+};
+
+const backend = backends[STORE_TYPE];
+if (!backend) {
+  throw new Error(`Unknown SECRET_STORE "${STORE_TYPE}"`);
+}
+
+// Secrets are read once and kept in memory, so verifying a delivery costs no
+// I/O
+let secretsCache = null;
+
+async function loadSecrets() {
+  if (!secretsCache) {
+    secretsCache = await backend.read();
+  }
+  return secretsCache;
+}
+
+async function saveSecrets(data) {
+  await backend.write(data);
+  secretsCache = data;
+}
+
+// Check that the store can be read with the configured key, so the server can
+// refuse to start instead of failing every delivery
+async function checkSecretStore() {
+  getKey();
+  await loadSecrets();
+}
+
+// Get a spreadsheet's webhook secrets as [{ webhookId, resourceId, secret }]
+async function getWebhookSecrets(spreadsheetId) {
+  const data = await loadSecrets();
+  return (data[spreadsheetId] || []).map(
+    ({ webhookId, resourceId, secret }) => ({
+      webhookId: webhookId || null,
+      resourceId: resourceId || null,
+      secret,
+    })
+  );
+}
+
+// Writes run one at a time so concurrent handshakes don't overwrite each other
+let pendingWrite = Promise.resolve();
+
+// Store a webhook secret. A new secret for a known webhook or resource
+// replaces the old one.
+function storeWebhookSecret(spreadsheetId, entry) {
+  const write = pendingWrite.then(() => writeSecret(spreadsheetId, entry));
+  pendingWrite = write.catch(() => {});
+  return write;
+}
+
+async function writeSecret(spreadsheetId, { webhookId, resourceId, secret }) {
+  const data = await loadSecrets();
+  const entries = (data[spreadsheetId] || []).filter(
+    (entry) =>
+      !(webhookId && entry.webhookId === webhookId) &&
+      !(resourceId && entry.resourceId === resourceId)
+  );
+  entries.push({
+    webhookId: webhookId || null,
+    resourceId: resourceId || null,
+    secret,
+    storedAt: new Date().toISOString(),
+  });
+
+  await saveSecrets({ ...data, [spreadsheetId]: entries });
+  console.log(
+    `Stored webhook secret for ${
+      webhookId || `resource ${resourceId || "(unknown)"}`
+    } (spreadsheet ${spreadsheetId})`
+  );
+}
+
+// List the stored secrets without their values
+async function listWebhookSecrets() {
+  const data = await loadSecrets();
+  return Object.entries(data).flatMap(([spreadsheetId, entries]) =>
+    entries.map(({ webhookId, resourceId, storedAt }) => ({
+      spreadsheetId,
+      webhookId,
+      resourceId,
+      storedAt,
+    }))
+  );
+}
+
+// The encrypted envelope to put in WEBHOOK_SECRETS for the "env" backend
+async function exportEncryptedSecrets() {
+  return JSON.stringify(await localKms.encrypt(await loadSecrets()));
+}
+
+module.exports = {
+  checkSecretStore,
+  getWebhookSecrets,
+  storeWebhookSecret,
+  listWebhookSecrets,
+  exportEncryptedSecrets,
+};
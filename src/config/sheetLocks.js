@@ -0,0 +1,51 @@
+const { readJsonFile, writeJsonFile } = require("./localStore");
+
+// Locks that keep long-running writers (exports, scheduled jobs) from working
+// on the same sheet at once. They are kept in the data directory, so processes
+// sharing it respect them too.
+const LOCKS_FILE = "sheet-locks.json";
+// A lock older than this is left over from a run that crashed
+const LOCK_TTL_MS = parseInt(
+  process.env.SHEET_LOCK_TTL_MS || String(6 * 60 * 60 * 1000),
+  10
+);
+
+function isFresh(lock) {
+  return !!lock && Date.now() - new Date(lock.lockedAt).getTime() < LOCK_TTL_MS;
+}
+
+// Take the sheet's lock for ownerId. Returns false if someone else holds it.
+function acquireSheetLock(sheetId, ownerId, description = null) {
+  const locks = readJsonFile(LOCKS_FILE, {});
+  if (isFresh(locks[sheetId])) {
+    return false;
+  }
+
+  locks[sheetId] = {
+    ownerId,
+    description,
+    lockedAt: new Date().toISOString(),
+  };
+  writeJsonFile(LOCKS_FILE, locks);
+  return true;
+}
+
+function releaseSheetLock(sheetId, ownerId) {
+  const locks = readJsonFile(LOCKS_FILE, {});
+  if (locks[sheetId]?.ownerId === ownerId) {
+    delete locks[sheetId];
+    writeJsonFile(LOCKS_FILE, locks);
+  }
+}
+
+// The sheet's current lock, or null
+function getSheetLock(sheetId) {
+  const lock = readJsonFile(LOCKS_FILE, {})[sheetId];
+  return isFresh(lock) ? lock : null;
+}
+
+module.exports = {
+  acquireSheetLock,
+  releaseSheetLock,
+  getSheetLock,
+};
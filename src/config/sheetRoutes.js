@@ -0,0 +1,88 @@
+const { getSettingsSection } = require("./syncSettings");
+const { matchesRule } = require("./rowRules");
+
+// Routing table that sends the events of a project or workspace to more
+// spreadsheets than the one in the webhook URL. Configured in the settings
+// file:
+//
+//   "routes": [
+//     {
+//       "name": "accounting",
+//       "projects": ["1201234567890"],
+//       "workspaces": ["1205846480740952"],
+//       "targets": [
+//         { "spreadsheetId": "...", "filter": { "completed": true } }
+//       ]
+//     }
+//   ]
+//
+// A route without projects or workspaces matches everything. Each target
+// spreadsheet uses its own column mapping (see columnMapping.js) and row
+// rules, and its optional filter (a row rule) narrows the tasks it receives.
+
+function getRoutes() {
+  return getSettingsSection("routes", []);
+}
+
+// Whether a route applies to a project/workspace. What is unknown (e.g. the
+// project of a deleted task) can't rule a route out, so removals reach every
+// sheet that may hold the task.
+function routeMatches(route, { projectId, workspaceId }) {
+  const projects = route.projects || [];
+  const workspaces = route.workspaces || [];
+  if (projects.length === 0 && workspaces.length === 0) return true;
+
+  const projectMatches =
+    projects.length > 0 && (!projectId || projects.includes(projectId));
+  const workspaceMatches =
+    workspaces.length > 0 && (!workspaceId || workspaces.includes(workspaceId));
+  return projectMatches || workspaceMatches;
+}
+
+// Get the spreadsheets an event should be applied to: the webhook's own
+// spreadsheet (unfiltered) plus the targets of every matching route. Returns
+// [{ spreadsheetId, filters }], where a null filter lets every task through.
+function getRouteTargets(spreadsheetId, context = {}) {
+  const targets = new Map();
+  const addTarget = (id, filter) => {
+    if (!targets.has(id)) {
+      targets.set(id, { spreadsheetId: id, filters: [] });
+    }
+    targets.get(id).filters.push(filter || null);
+  };
+
+  if (spreadsheetId) {
+    addTarget(spreadsheetId, null);
+  }
+
+  getRoutes()
+    .filter((route) => routeMatches(route, context))
+    .forEach((route) => {
+      (route.targets || []).forEach((target) => {
+        if (target.spreadsheetId) {
+          addTarget(target.spreadsheetId, target.filter);
+        }
+      });
+    });
+
+  return [...targets.values()];
+}
+
+// Whether a target receives a task (any of its filters lets it through)
+function targetAcceptsTask(target, task) {
+  return target.filters.some((filter) => !filter || matchesRule(filter, task));
+}
+
+// The project and workspace used to route a task
+function getTaskRouteContext(task) {
+  return {
+    projectId: task.memberships?.[0]?.project?.gid,
+    workspaceId: task.workspace?.gid,
+  };
+}
+
+module.exports = {
+  getRouteTargets,
+  targetAcceptsTask,
+  getTaskRouteContext,
+};
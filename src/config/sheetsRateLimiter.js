@@ -0,0 +1,53 @@
+// Rate limiter for Google Sheets API
+// Helps prevent 429 "Quota exceeded" errors
+const sheetsRateLimiter = {
+  queue: [],
+  processing: false,
+  requestsPerMinute: 60, // Conservative limit
+  minDelayMs: 1000, // Minimum 1s between requests
+
+  // Add an operation to the queue
+  enqueue(operation) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ operation, resolve, reject });
+      this.processQueue();
+    });
+  },
+
+  // Process the next operation in the queue
+  async processQueue() {
+    if (this.processing || this.queue.length === 0) return;
+
+    this.processing = true;
+    const { operation, resolve, reject } = this.queue.shift();
+
+    try {
+      console.log(
+        `Processing Google Sheets API request. Queue length: ${this.queue.length}`
+      );
+      const result = await operation();
+      resolve(result);
+    } catch (error) {
+      console.error("Error in Google Sheets operation:", error.message);
+
+      // If rate limited, add back to queue with exponential backoff
+      if (error.code === 429) {
+        console.log("Google Sheets API rate limited. Retrying with backoff...");
+        // Wait longer and retry
+        setTimeout(() => {
+          this.queue.unshift({ operation, resolve, reject });
+        }, 5000 + Math.random() * 5000); // 5-10s backoff
+      } else {
+        reject(error);
+      }
+    } finally {
+      // Wait before processing next request
+      setTimeout(() => {
+        this.processing = false;
+        this.processQueue();
+      }, this.minDelayMs);
+    }
+  },
+};
+
+module.exports = sheetsRateLimiter;
@@ -0,0 +1,263 @@
+const { forgetSheetTabIds } = require("./googleSheets");
+const { getSheetSettings } = require("./syncSettings");
+const { quoteSheetName } = require("./columnMapping");
+const { writeRows } = require("./chunkedWriter");
+
+// Exports write into a hidden staging copy of the main tab and copy it over
+// the main tab with a single batchUpdate, so a failed export leaves the main
+// tab as it was. The main tab itself is never renamed or replaced: formulas
+// and pivot tables in other tabs that point at it keep working. A copy of its
+// previous contents is kept as a hidden, timestamped backup tab, configured
+// per sheet:
+//   "exportBackups": { "keep": 3 }
+// "keep" is how many backup tabs to keep; older ones are deleted in the swap.
+// With 0 no backup is made.
+const DEFAULT_BACKUP_SETTINGS = { keep: 3 };
+
+function getBackupSettings(spreadsheetId) {
+  return {
+    ...DEFAULT_BACKUP_SETTINGS,
+    ...(getSheetSettings(spreadsheetId).exportBackups || {}),
+  };
+}
+
+function getStagingTitle(sheetName) {
+  return `${sheetName} (export staging)`;
+}
+
+function getBackupPrefix(sheetName) {
+  return `${sheetName} backup `;
+}
+
+// e.g. "Sheet1 backup 2026-10-19 02-00-00" (UTC), so backups sort by title
+function getBackupTitle(sheetName, date = new Date()) {
+  const timestamp = date
+    .toISOString()
+    .slice(0, 19)
+    .replace("T", " ")
+    .replace(/:/g, "-");
+  return `${getBackupPrefix(sheetName)}${timestamp}`;
+}
+
+// A sheet ID no tab uses, for the backup tab (so it can be hidden in the same
+// batchUpdate that creates it)
+function getUnusedSheetId(tabs) {
+  const used = new Set(tabs.map((tab) => tab.sheetId));
+  let sheetId;
+  do {
+    sheetId = Math.floor(Math.random() * 2 ** 31);
+  } while (used.has(sheetId));
+  return sheetId;
+}
+
+async function getTabs(sheets, spreadsheetId) {
+  const spreadsheet = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: "sheets.properties(sheetId,title,index,gridProperties)",
+  });
+  return spreadsheet.data.sheets.map((sheet) => sheet.properties);
+}
+
+// Create the staging tab as a copy of the main tab (so it keeps its
+// formatting and frozen rows) with its values cleared. Returns the staging
+// tab's sheet ID.
+async function createStagingTab(sheets, spreadsheetId, mapping, tabs) {
+  const stagingTitle = getStagingTitle(mapping.sheetName);
+  const mainTab = tabs.find((tab) => tab.title === mapping.sheetName);
+  const requests = [];
+
+  // A staging tab left over from a failed export is replaced
+  const leftover = tabs.find((tab) => tab.title === stagingTitle);
+  if (leftover) {
+    requests.push({ deleteSheet: { sheetId: leftover.sheetId } });
+  }
+
+  if (mainTab) {
+    requests.push({
+      duplicateSheet: {
+        sourceSheetId: mainTab.sheetId,
+        newSheetName: stagingTitle,
+      },
+    });
+  } else {
+    requests.push({
+      addSheet: { properties: { title: stagingTitle, hidden: true } },
+    });
+  }
+
+  const response = await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: { requests },
+  });
+  const reply = response.data.replies[requests.length - 1];
+  const stagingSheetId = (reply.duplicateSheet || reply.addSheet).properties
+    .sheetId;
+
+  if (mainTab) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [
+          {
+            updateSheetProperties: {
+              properties: { sheetId: stagingSheetId, hidden: true },
+              fields: "hidden",
+            },
+          },
+        ],
+      },
+    });
+    await sheets.spreadsheets.values.clear({
+      spreadsheetId,
+      range: quoteSheetName(stagingTitle),
+    });
+  }
+
+  return stagingSheetId;
+}
+
+// Write rows (headers first) to the mapping's tab through a staging tab.
+// manualRows, lined up with rows, go to the columns after the mapped ones and
+// are written as if typed in (see manualColumns.js).
+// Returns { sheetId, backupTitle }: the tab's sheet ID and the title of the
+// backup of its previous contents (null if there is none).
+async function writeViaStagingTab(
+  sheets,
+  spreadsheetId,
+  mapping,
+  rows,
+  manualRows = []
+) {
+  const { keep } = getBackupSettings(spreadsheetId);
+  const tabs = await getTabs(sheets, spreadsheetId);
+  const mainTab = tabs.find((tab) => tab.title === mapping.sheetName);
+
+  console.log(`Writing ${rows.length} rows to the staging tab...`);
+  const stagingSheetId = await createStagingTab(
+    sheets,
+    spreadsheetId,
+    mapping,
+    tabs
+  );
+  const stagingTitle = getStagingTitle(mapping.sheetName);
+  await writeRows(sheets, spreadsheetId, {
+    sheetName: stagingTitle,
+    sheetId: stagingSheetId,
+    rows,
+  });
+  await writeRows(sheets, spreadsheetId, {
+    sheetName: stagingTitle,
+    sheetId: stagingSheetId,
+    rows: manualRows,
+    startColumn: mapping.columns.length,
+    valueInputOption: "USER_ENTERED",
+  });
+
+  // Without a main tab, the staging tab simply becomes it
+  if (!mainTab) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [
+          {
+            updateSheetProperties: {
+              properties: {
+                sheetId: stagingSheetId,
+                title: mapping.sheetName,
+                hidden: false,
+              },
+              fields: "title,hidden",
+            },
+          },
+        ],
+      },
+    });
+    forgetSheetTabIds(spreadsheetId);
+    console.log(`Created "${mapping.sheetName}" from the staging tab`);
+    return { sheetId: stagingSheetId, backupTitle: null };
+  }
+
+  // The staging tab may have grown while it was written
+  const currentTabs = await getTabs(sheets, spreadsheetId);
+  const stagingGrid = currentTabs.find(
+    (tab) => tab.sheetId === stagingSheetId
+  ).gridProperties;
+
+  // Swap: the main tab is copied to a backup, resized to the staging tab and
+  // overwritten with its values and formulas (its formatting stays), then the
+  // staging tab and the backups beyond the limit are deleted
+  const requests = [];
+  let backupTitle = null;
+  if (keep > 0) {
+    backupTitle = getBackupTitle(mapping.sheetName);
+    const backupSheetId = getUnusedSheetId(currentTabs);
+    requests.push(
+      {
+        duplicateSheet: {
+          sourceSheetId: mainTab.sheetId,
+          newSheetId: backupSheetId,
+          newSheetName: backupTitle,
+        },
+      },
+      {
+        updateSheetProperties: {
+          properties: { sheetId: backupSheetId, hidden: true },
+          fields: "hidden",
+        },
+      }
+    );
+  }
+
+  requests.push(
+    {
+      updateSheetProperties: {
+        properties: {
+          sheetId: mainTab.sheetId,
+          gridProperties: {
+            rowCount: stagingGrid.rowCount,
+            columnCount: stagingGrid.columnCount,
+          },
+        },
+        fields: "gridProperties.rowCount,gridProperties.columnCount",
+      },
+    },
+    {
+      copyPaste: {
+        source: { sheetId: stagingSheetId },
+        destination: {
+          sheetId: mainTab.sheetId,
+          startRowIndex: 0,
+          startColumnIndex: 0,
+        },
+        pasteType: "PASTE_FORMULA",
+      },
+    },
+    { deleteSheet: { sheetId: stagingSheetId } }
+  );
+
+  const prefix = getBackupPrefix(mapping.sheetName);
+  const oldBackups = tabs
+    .filter((tab) => tab.title.startsWith(prefix))
+    .sort((a, b) => b.title.localeCompare(a.title))
+    .slice(backupTitle ? keep - 1 : keep);
+  oldBackups.forEach((tab) => {
+    requests.push({ deleteSheet: { sheetId: tab.sheetId } });
+  });
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: { requests },
+  });
+  forgetSheetTabIds(spreadsheetId);
+
+  console.log(
+    `Copied the staging tab into "${mapping.sheetName}"${
+      backupTitle ? ` (previous contents in "${backupTitle}")` : ""
+    }, deleted ${oldBackups.length} old backups`
+  );
+  return { sheetId: mainTab.sheetId, backupTitle };
+}
+
+module.exports = {
+  writeViaStagingTab,
+};
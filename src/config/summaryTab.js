@@ -0,0 +1,245 @@
+const { getSheetTabId, ensureSheetTab } = require("./googleSheets");
+const { getSheetSettings } = require("./syncSettings");
+const { getHeaders, quoteSheetName } = require("./columnMapping");
+const { ensureGridSize } = require("./chunkedWriter");
+const sheetsRateLimiter = require("./sheetsRateLimiter");
+
+// A Summary tab with native pivot tables over the main tab: one table per
+// dimension, with the measures totalled per value of the dimension.
+// Configured per sheet:
+//   "summary": {
+//     "enabled": true,
+//     "sheetName": "Summary",
+//     "dimensions": ["Project Name", "Worker", "Paid with..."],
+//     "measures": ["Deposit", "Bonus", "Balance", "Received"],
+//     "function": "SUM"
+//   }
+// Dimensions and measures are headers of the main tab's columns. Sheets keeps
+// pivot tables up to date as rows change, so webhook batches and incremental
+// syncs only make sure the tables exist and read from the current main tab,
+// once they are done writing (see ensureSummaries in webhookHandler.js).
+// Exports rebuild them, so changes to the summary settings take effect.
+// Both send their requests through the Sheets rate limiter, so they must not
+// be called from inside a limited operation.
+const DEFAULT_SUMMARY_SETTINGS = {
+  enabled: false,
+  sheetName: "Summary",
+  dimensions: [],
+  measures: [],
+  function: "SUM",
+};
+
+// Main tab sheet ID the Summary tab was last checked or built against, keyed
+// by spreadsheet ID
+const checkedSources = new Map();
+
+function getSummarySettings(spreadsheetId) {
+  return {
+    ...DEFAULT_SUMMARY_SETTINGS,
+    ...(getSheetSettings(spreadsheetId).summary || {}),
+  };
+}
+
+function isSummaryEnabled(settings) {
+  return (
+    settings.enabled &&
+    settings.dimensions.length > 0 &&
+    settings.measures.length > 0
+  );
+}
+
+// The batchUpdate requests that clear the Summary tab and lay out one pivot
+// table per dimension, side by side. Returns { requests, columnCount }.
+function buildSummaryRequests(
+  settings,
+  mapping,
+  sourceSheetId,
+  summarySheetId
+) {
+  const headers = getHeaders(mapping);
+  const findColumn = (header) => {
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      console.log(`Summary: no "${header}" column in the sheet - skipping it`);
+    }
+    return index;
+  };
+
+  const measures = settings.measures
+    .map((header) => findColumn(header))
+    .filter((index) => index !== -1);
+  const requests = [
+    { updateCells: { range: { sheetId: summarySheetId }, fields: "*" } },
+  ];
+  let columnIndex = 0;
+  if (measures.length === 0) return { requests, columnCount: 0 };
+
+  settings.dimensions.forEach((dimension) => {
+    const dimensionIndex = findColumn(dimension);
+    if (dimensionIndex === -1) return;
+
+    requests.push({
+      updateCells: {
+        start: { sheetId: summarySheetId, rowIndex: 0, columnIndex },
+        rows: [
+          {
+            values: [
+              {
+                userEnteredValue: { stringValue: `By ${dimension}` },
+                userEnteredFormat: { textFormat: { bold: true } },
+              },
+            ],
+          },
+        ],
+        fields: "userEnteredValue,userEnteredFormat.textFormat.bold",
+      },
+    });
+    requests.push({
+      updateCells: {
+        start: { sheetId: summarySheetId, rowIndex: 2, columnIndex },
+        rows: [
+          {
+            values: [
+              {
+                pivotTable: {
+                  // No end row, so rows added later are included
+                  source: {
+                    sheetId: sourceSheetId,
+                    startRowIndex: 0,
+                    startColumnIndex: 0,
+                    endColumnIndex: headers.length,
+                  },
+                  rows: [
+                    {
+                      sourceColumnOffset: dimensionIndex,
+                      showTotals: true,
+                      sortOrder: "ASCENDING",
+                    },
+                  ],
+                  values: measures.map((measureIndex) => ({
+                    summarizeFunction: settings.function,
+                    sourceColumnOffset: measureIndex,
+                  })),
+                  valueLayout: "HORIZONTAL",
+                },
+              },
+            ],
+          },
+        ],
+        fields: "pivotTable",
+      },
+    });
+    // The table's row labels and measures, then an empty column
+    columnIndex += measures.length + 2;
+  });
+
+  return { requests, columnCount: columnIndex };
+}
+
+// Rebuild the Summary tab's pivot tables over the main tab (sourceSheetId,
+// looked up if not given). Returns false if the sheet has no summary.
+async function rebuildSummary(sheets, spreadsheetId, mapping, sourceSheetId) {
+  const settings = getSummarySettings(spreadsheetId);
+  if (!isSummaryEnabled(settings)) return false;
+
+  const mainSheetId =
+    sourceSheetId ??
+    (await getSheetTabId(sheets, spreadsheetId, mapping.sheetName));
+  const summarySheetId = await ensureSheetTab(
+    sheets,
+    spreadsheetId,
+    settings.sheetName
+  );
+  const { requests, columnCount } = buildSummaryRequests(
+    settings,
+    mapping,
+    mainSheetId,
+    summarySheetId
+  );
+
+  await ensureGridSize(sheets, spreadsheetId, summarySheetId, 1, columnCount);
+  await sheetsRateLimiter.enqueue(() =>
+    sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: { requests },
+    })
+  );
+  checkedSources.set(spreadsheetId, mainSheetId);
+
+  console.log(
+    `Rebuilt the ${settings.sheetName} tab with ${
+      (requests.length - 1) / 2
+    } pivot tables`
+  );
+  return true;
+}
+
+// Pivot tables on the first rows of the Summary tab, or null if there is no
+// Summary tab
+async function readSummaryPivots(sheets, spreadsheetId, sheetName) {
+  try {
+    await getSheetTabId(sheets, spreadsheetId, sheetName);
+  } catch (error) {
+    if (error.message.startsWith(`Sheet "${sheetName}" not found`)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const response = await sheets.spreadsheets.get({
+    spreadsheetId,
+    ranges: [`${quoteSheetName(sheetName)}!3:3`],
+    fields: "sheets(data(rowData(values(pivotTable(source(sheetId))))))",
+  });
+  const pivots = [];
+  (response.data.sheets || []).forEach((sheet) =>
+    (sheet.data || []).forEach((data) =>
+      (data.rowData || []).forEach((row) =>
+        (row.values || []).forEach((cell) => {
+          if (cell.pivotTable) pivots.push(cell.pivotTable);
+        })
+      )
+    )
+  );
+  return pivots;
+}
+
+// Make sure the Summary tab exists and reads from the current main tab (which
+// a restored backup can replace), rebuilding it if not. Checked
+// once per main tab, and never throws: a broken summary mustn't hold up the
+// sync.
+async function ensureSummary(sheets, spreadsheetId, mapping) {
+  const settings = getSummarySettings(spreadsheetId);
+  if (!isSummaryEnabled(settings)) return;
+
+  try {
+    const mainSheetId = await getSheetTabId(
+      sheets,
+      spreadsheetId,
+      mapping.sheetName
+    );
+    if (checkedSources.get(spreadsheetId) === mainSheetId) return;
+
+    const pivots = await readSummaryPivots(
+      sheets,
+      spreadsheetId,
+      settings.sheetName
+    );
+    const upToDate =
+      pivots?.length > 0 &&
+      pivots.every((pivot) => (pivot.source?.sheetId || 0) === mainSheetId);
+    if (upToDate) {
+      checkedSources.set(spreadsheetId, mainSheetId);
+      return;
+    }
+
+    await rebuildSummary(sheets, spreadsheetId, mapping, mainSheetId);
+  } catch (error) {
+    console.error(`Error updating the ${settings.sheetName} tab:`, error);
+  }
+}
+
+module.exports = {
+  rebuildSummary,
+  ensureSummary,
+};
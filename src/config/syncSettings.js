@@ -0,0 +1,54 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+// Sync settings are read from a JSON file so per-sheet behaviour can be changed
+// without touching the code. Set SYNC_SETTINGS_FILE to use a different file.
+const SETTINGS_FILE =
+  process.env.SYNC_SETTINGS_FILE || path.join(__dirname, "syncSettings.json");
+
+let settingsCache = null;
+
+// Load (and cache) the settings file
+function loadSettings() {
+  if (!settingsCache) {
+    try {
+      settingsCache = JSON.parse(fs.readFileSync(SETTINGS_FILE, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(
+          `Error reading sync settings from ${SETTINGS_FILE}:`,
+          error.message
+        );
+      }
+      settingsCache = {};
+    }
+  }
+  return settingsCache;
+}
+
+// Get the settings for a spreadsheet: the "default" entry merged with the
+// entry keyed by the spreadsheet ID (if there is one)
+function getSheetSettings(spreadsheetId) {
+  const sheetSettings = loadSettings().sheets || {};
+  return {
+    ...(sheetSettings.default || {}),
+    ...((spreadsheetId && sheetSettings[spreadsheetId]) || {}),
+  };
+}
+
+// Get a top-level section of the settings file
+function getSettingsSection(name, fallback) {
+  const section = loadSettings()[name];
+  return section === undefined ? fallback : section;
+}
+
+// Drop the cached settings so the next read picks up file changes
+function reloadSettings() {
+  settingsCache = null;
+}
+
+module.exports = {
+  getSheetSettings,
+  getSettingsSection,
+  reloadSettings,
+};
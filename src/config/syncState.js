@@ -0,0 +1,24 @@
+const { readJsonFile, writeJsonFile } = require("./localStore");
+
+// Last successful sync time per spreadsheet, used by incremental syncs
+const SYNC_STATE_FILE = "sync-state.json";
+
+function getLastSync(spreadsheetId) {
+  return readJsonFile(SYNC_STATE_FILE, {})[spreadsheetId] || null;
+}
+
+// Record a successful sync (or full export) that started at syncedAt
+function recordSync(spreadsheetId, workspaceId, syncedAt, mode) {
+  const state = readJsonFile(SYNC_STATE_FILE, {});
+  state[spreadsheetId] = {
+    workspaceId,
+    lastSyncedAt: syncedAt,
+    mode,
+  };
+  writeJsonFile(SYNC_STATE_FILE, state);
+}
+
+module.exports = {
+  getLastSync,
+  recordSync,
+};
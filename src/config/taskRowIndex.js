@@ -0,0 +1,258 @@
+const { readJsonFile, writeJsonFile } = require("./localStore");
+const {
+  getColumnIndex,
+  columnLetter,
+  quoteSheetName,
+} = require("./columnMapping");
+
+// Index from task GID to sheet row number, kept per spreadsheet so webhook
+// events don't have to download the whole sheet to find a task.
+//
+// The index is always held in memory. With TASK_INDEX_STORE=file it is also
+// written to the data directory, so it survives restarts.
+//
+// Appends and deletes made here keep the index complete, so a task missing
+// from it has no row (most events are about new tasks or tasks that don't
+// qualify). Rows added by hand are only picked up once the index is older
+// than TASK_INDEX_MAX_AGE_MS, after which a miss rebuilds it.
+const STORE_TYPE = process.env.TASK_INDEX_STORE || "memory";
+const MAX_AGE_MS = parseInt(
+  process.env.TASK_INDEX_MAX_AGE_MS || String(10 * 60 * 1000),
+  10
+);
+
+const memoryStore = {
+  load: () => null,
+  save: () => {},
+};
+
+const fileStore = {
+  load: (spreadsheetId) =>
+    readJsonFile(`task-index-${spreadsheetId}.json`, null),
+  save: (spreadsheetId, data) =>
+    writeJsonFile(`task-index-${spreadsheetId}.json`, data),
+};
+
+const store = STORE_TYPE === "file" ? fileStore : memoryStore;
+
+// In-memory indexes keyed by spreadsheet ID:
+// { sheetName, builtAt, rows: Map<taskId, row> }
+const indexes = new Map();
+
+// Get the index for a spreadsheet tab, loading it from the store if needed
+function getIndex(spreadsheetId, sheetName) {
+  let index = indexes.get(spreadsheetId);
+
+  if (!index) {
+    const stored = store.load(spreadsheetId);
+    if (stored) {
+      index = {
+        sheetName: stored.sheetName,
+        builtAt: stored.builtAt || 0,
+        rows: new Map(Object.entries(stored.rows || {})),
+      };
+      indexes.set(spreadsheetId, index);
+    }
+  }
+
+  // The index only covers the tab it was built for
+  return index && index.sheetName === sheetName ? index : null;
+}
+
+function saveIndex(spreadsheetId, index) {
+  indexes.set(spreadsheetId, index);
+  try {
+    store.save(spreadsheetId, {
+      sheetName: index.sheetName,
+      builtAt: index.builtAt,
+      rows: Object.fromEntries(index.rows),
+    });
+  } catch (error) {
+    console.error("Error saving task row index:", error.message);
+  }
+}
+
+// Whether a task missing from the index can be taken to have no row
+function trustsMisses(index) {
+  return !!index && Date.now() - index.builtAt < MAX_AGE_MS;
+}
+
+// Forget the index so the next lookup rebuilds it from the sheet
+function invalidateIndex(spreadsheetId) {
+  indexes.delete(spreadsheetId);
+  try {
+    store.save(spreadsheetId, null);
+  } catch (error) {
+    console.error("Error clearing task row index:", error.message);
+  }
+}
+
+// A1 range of the Task ID column, either the whole column or a single cell
+function getTaskIdRange(mapping, rowIndex) {
+  const column = columnLetter(getColumnIndex(mapping, "task.gid"));
+  const sheetName = quoteSheetName(mapping.sheetName);
+  return rowIndex
+    ? `${sheetName}!${column}${rowIndex}`
+    : `${sheetName}!${column}:${column}`;
+}
+
+// Build the index from sheet rows (the first row is the header row)
+function setIndexFromRows(spreadsheetId, mapping, rows) {
+  const taskIdColumnIndex = getColumnIndex(mapping, "task.gid");
+  const index = {
+    sheetName: mapping.sheetName,
+    builtAt: Date.now(),
+    rows: new Map(),
+  };
+
+  for (let i = 1; i < rows.length; i++) {
+    const taskId = rows[i] && rows[i][taskIdColumnIndex];
+    // Keep the first row if a task appears more than once
+    if (taskId && !index.rows.has(taskId)) {
+      index.rows.set(taskId, i + 1); // Spreadsheet rows are 1-indexed
+    }
+  }
+
+  saveIndex(spreadsheetId, index);
+  return index;
+}
+
+// Rebuild the index by reading only the Task ID column from the sheet
+async function rebuildIndex(sheets, spreadsheetId, mapping) {
+  console.log(`Rebuilding task row index for spreadsheet ${spreadsheetId}...`);
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: getTaskIdRange(mapping),
+  });
+
+  const taskIdColumnIndex = getColumnIndex(mapping, "task.gid");
+  const rows = (response.data.values || []).map((row) => {
+    const padded = [];
+    padded[taskIdColumnIndex] = row[0];
+    return padded;
+  });
+
+  const index = setIndexFromRows(spreadsheetId, mapping, rows);
+  console.log(`Indexed ${index.rows.size} tasks`);
+  return index;
+}
+
+// Find a task's row number. Index hits are checked against the sheet's Task ID
+// cell; a mismatch, or a miss once the index is too old to trust, rebuilds
+// the index from the sheet.
+async function findRow(sheets, spreadsheetId, mapping, taskId) {
+  const index = getIndex(spreadsheetId, mapping.sheetName);
+  const indexedRow = index && index.rows.get(taskId);
+  if (!indexedRow && trustsMisses(index)) {
+    return null;
+  }
+
+  if (indexedRow) {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: getTaskIdRange(mapping, indexedRow),
+    });
+    const cellValue = response.data.values?.[0]?.[0];
+
+    if (cellValue === taskId) {
+      return indexedRow;
+    }
+    console.log(
+      `Task row index is stale (row ${indexedRow} holds "${cellValue || ""}")`
+    );
+  }
+
+  const rebuilt = await rebuildIndex(sheets, spreadsheetId, mapping);
+  return rebuilt.rows.get(taskId) || null;
+}
+
+// Find the rows of several tasks at once. Returns a Map from task ID to row
+// number for the tasks that have a row. Index hits are checked with a single
+// batchGet; a mismatch, or a miss once the index is too old to trust,
+// rebuilds the index once.
+async function findRows(sheets, spreadsheetId, mapping, taskIds) {
+  if (taskIds.length === 0) {
+    return new Map();
+  }
+
+  const index = getIndex(spreadsheetId, mapping.sheetName);
+  const indexed = index
+    ? taskIds.filter((taskId) => index.rows.has(taskId))
+    : [];
+  if (index && (indexed.length === taskIds.length || trustsMisses(index))) {
+    if (indexed.length === 0) {
+      return new Map();
+    }
+    const response = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: indexed.map((taskId) =>
+        getTaskIdRange(mapping, index.rows.get(taskId))
+      ),
+    });
+    const valueRanges = response.data.valueRanges || [];
+
+    if (
+      indexed.every((taskId, i) => valueRanges[i]?.values?.[0]?.[0] === taskId)
+    ) {
+      return new Map(indexed.map((taskId) => [taskId, index.rows.get(taskId)]));
+    }
+    console.log("Task row index is stale");
+  }
+
+  const rebuilt = await rebuildIndex(sheets, spreadsheetId, mapping);
+  return new Map(
+    taskIds
+      .filter((taskId) => rebuilt.rows.has(taskId))
+      .map((taskId) => [taskId, rebuilt.rows.get(taskId)])
+  );
+}
+
+// Record rows appended for tasks, in the order they were appended.
+// updatedRange is the range reported by values.append (e.g. "Sheet1!A120:S122").
+function recordAppend(spreadsheetId, mapping, taskIds, updatedRange) {
+  const index = getIndex(spreadsheetId, mapping.sheetName);
+  if (!index) {
+    return; // Built from the sheet on the next lookup
+  }
+
+  const match = /![A-Z]+(\d+)/.exec(updatedRange || "");
+  if (!match) {
+    // Can't tell where the rows went; rebuild on the next lookup
+    invalidateIndex(spreadsheetId);
+    return;
+  }
+
+  const firstRow = parseInt(match[1], 10);
+  taskIds.forEach((taskId, i) => index.rows.set(taskId, firstRow + i));
+  saveIndex(spreadsheetId, index);
+}
+
+// Record a deleted row: drop it and shift the rows below it up by one,
+// matching what deleteDimension does to the sheet
+function recordDelete(spreadsheetId, mapping, rowIndex) {
+  const index = getIndex(spreadsheetId, mapping.sheetName);
+  if (!index) {
+    return;
+  }
+
+  const rows = new Map();
+  index.rows.forEach((row, taskId) => {
+    if (row < rowIndex) {
+      rows.set(taskId, row);
+    } else if (row > rowIndex) {
+      rows.set(taskId, row - 1);
+    }
+  });
+
+  saveIndex(spreadsheetId, { ...index, rows });
+}
+
+module.exports = {
+  findRow,
+  findRows,
+  rebuildIndex,
+  setIndexFromRows,
+  recordAppend,
+  recordDelete,
+  invalidateIndex,
+};
@@ -0,0 +1,42 @@
+// Events every project webhook subscribes to. Shared by the webhook scripts so
+// they all create webhooks with the same filters.
+const WEBHOOK_FILTERS = [
+  {
+    action: "changed",
+    resource_type: "task",
+    fields: ["name", "assignee", "completed", "completed_at", "custom_fields"],
+  },
+  {
+    action: "added",
+    resource_type: "task",
+  },
+  {
+    action: "removed",
+    resource_type: "task",
+  },
+  {
+    action: "deleted",
+    resource_type: "task",
+  },
+  // Comments, for the optional Comments tab
+  {
+    action: "added",
+    resource_type: "story",
+    resource_subtype: "comment_added",
+  },
+  // Section renames, for the Section column
+  {
+    action: "changed",
+    resource_type: "section",
+  },
+  // Project renames and archiving, applied to all rows of the project
+  {
+    action: "changed",
+    resource_type: "project",
+    fields: ["name", "archived"],
+  },
+];
+
+module.exports = {
+  WEBHOOK_FILTERS,
+};
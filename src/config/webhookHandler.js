@@ -1,31 +1,47 @@
 const { google } = require("googleapis");
-const { getGoogleSheetsClient } = require("./googleSheets");
-const { tasksApi } = require("./asana");
-
-// Cache for storing the spreadsheet data structure
+const {
+  getGoogleSheetsClient,
+  getSheetTabId,
+  ensureSheetTab,
+} = require("./googleSheets");
+const { tasksApi, projectsApi, storiesApi } = require("./asana");
+const { getSheetSettings } = require("./syncSettings");
+const {
+  getColumnMapping,
+  getCustomFieldNames,
+  getColumnIndex,
+  processTaskData,
+  buildRow,
+  quoteSheetName,
+  getSheetRange,
+} = require("./columnMapping");
+const { getWorkspaceMapping } = require("./workspaceProfiles");
+const { qualifiesForSheet } = require("./rowRules");
+const {
+  removesNonMatchingRows,
+  copyToRemovedTab,
+  releaseRemovedRows,
+} = require("./nonMatchingRows");
+const {
+  getRouteTargets,
+  targetAcceptsTask,
+  getTaskRouteContext,
+} = require("./sheetRoutes");
+const taskRowIndex = require("./taskRowIndex");
+const { ensureSummary } = require("./summaryTab");
+const {
+  deleteRows,
+  updateProjectNameRows,
+  setProjectArchived,
+} = require("./projectRows");
+
+// Sheets written since their Summary tabs were last checked (see
+// ensureSummaries)
+const summariesToCheck = new Set();
+
+// Cache for storing the spreadsheet currently being updated
 let spreadsheetCache = {
   id: null,
-  headers: [
-    "Project Name",
-    "Task Name",
-    "Assignee",
-    "Completed At",
-    "Worker",
-    "Status",
-    "Paid with...",
-    "Deposit",
-    "Bonus",
-    "Max bet",
-    "WG",
-    "Max win",
-    "Balance",
-    "Groups",
-    "Received",
-    "RM/BM",
-    "Project ID",
-    "Task ID",
-    "Completed",
-  ],
 };
 
 function setSpreadsheetId(id) {
@@ -41,91 +57,23 @@ function getSpreadsheetId() {
   return spreadsheetCache.id;
 }
 
-// Process task data in the same way as the export function
-function processTaskData(task, workspaceId) {
-  const customFieldValues = {};
-
-  if (task.custom_fields) {
-    task.custom_fields.forEach((field) => {
-      const fieldNames = [
-        "Worker",
-        "Status",
-        "Paid with...",
-        "Deposit",
-        "Bonus",
-        "Max bet",
-        "WG",
-        "Max win",
-        "Balance",
-        "Groups",
-        "Received",
-        "RM/BM",
-      ];
-
-      // Add lowercase balance for specific workspace
-      if (workspaceId === "1205846480740952") {
-        fieldNames.push("balance");
-      }
-
-      if (fieldNames.includes(field.name)) {
-        if (field.enum_value) {
-          customFieldValues[field.name] = field.enum_value.name;
-        } else if (
-          field.number_value !== null &&
-          field.number_value !== undefined
-        ) {
-          customFieldValues[field.name] = field.number_value;
-        } else if (field.text_value) {
-          customFieldValues[field.name] = field.text_value;
-        } else {
-          customFieldValues[field.name] = field.display_value;
-        }
-      }
-    });
-  }
-
-  return {
-    task_name: task.name,
-    assignee: task.assignee?.name || "",
-    completed_at: task.completed_at || "",
-    completed: task.completed,
-    ...customFieldValues,
-  };
-}
-
-// Find a task's row in the spreadsheet by Task ID
-async function findTaskRow(sheets, taskId) {
+// Find a task's row in the spreadsheet by Task ID (through the task row index)
+async function findTaskRow(sheets, mapping, taskId) {
   try {
     console.log(`\nLooking for task with ID: ${taskId} in Google Sheet...`);
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: getSpreadsheetId(),
-      range: "Sheet1!A:S", // Include all columns up to Completed
-    });
-
-    const rows = response.data.values || [];
-    console.log(`Total rows in sheet: ${rows.length}`);
-
-    // Task ID is the second-to-last column (index 17 based on our headers)
-    const taskIdColumnIndex = 17; // Hardcoding this to ensure we're looking at the right column
-
-    console.log(
-      `Looking for Task ID in column ${taskIdColumnIndex + 1} (Task ID column)`
+    const rowIndex = await taskRowIndex.findRow(
+      sheets,
+      getSpreadsheetId(),
+      mapping,
+      taskId
     );
-    for (let i = 1; i < rows.length; i++) {
-      // Start from 1 to skip header
-      if (rows[i] && rows[i][taskIdColumnIndex]) {
-        //console.log(
-        // `Comparing row ${i + 1}: ${rows[i][taskIdColumnIndex]} with ${taskId}`
-        //);
-        if (rows[i][taskIdColumnIndex] === taskId) {
-          console.log(`Found task at row ${i + 1}`);
-          console.log(`Current row data:`, rows[i]);
-          return i + 1; // Adding 1 because spreadsheet rows are 1-indexed
-        }
-      }
+
+    if (rowIndex) {
+      console.log(`Found task at row ${rowIndex}`);
+    } else {
+      console.log("Task not found in spreadsheet");
     }
-    console.log("Task not found in spreadsheet");
-    return null;
+    return rowIndex;
   } catch (error) {
     console.error("Error finding task row:", error);
     return null;
@@ -133,14 +81,14 @@ async function findTaskRow(sheets, taskId) {
 }
 
 // Update a specific row in the spreadsheet
-async function updateSpreadsheetRow(sheets, rowIndex, values) {
+async function updateSpreadsheetRow(sheets, mapping, rowIndex, values) {
   try {
     console.log(`\nUpdating row ${rowIndex} in Google Sheet...`);
     console.log("New values:", values);
 
     await sheets.spreadsheets.values.update({
       spreadsheetId: getSpreadsheetId(),
-      range: `Sheet1!A${rowIndex}:S${rowIndex}`, // Update to include all columns
+      range: getSheetRange(mapping, rowIndex),
       valueInputOption: "RAW",
       resource: {
         values: [values],
@@ -154,20 +102,26 @@ async function updateSpreadsheetRow(sheets, rowIndex, values) {
 }
 
 // Add a new row to the spreadsheet
-async function addSpreadsheetRow(sheets, values) {
+async function addSpreadsheetRow(sheets, mapping, taskId, values) {
   try {
     console.log("\nAdding new row to Google Sheet...");
     console.log("Values:", values);
 
-    await sheets.spreadsheets.values.append({
+    const response = await sheets.spreadsheets.values.append({
       spreadsheetId: getSpreadsheetId(),
-      range: "Sheet1!A:S", // Update to include all columns
+      range: getSheetRange(mapping),
       valueInputOption: "RAW",
       insertDataOption: "INSERT_ROWS",
       resource: {
         values: [values],
       },
     });
+    taskRowIndex.recordAppend(
+      getSpreadsheetId(),
+      mapping,
+      [taskId],
+      response.data.updates?.updatedRange
+    );
     console.log("New row added successfully");
   } catch (error) {
     console.error("Error adding spreadsheet row:", error);
@@ -176,20 +130,26 @@ async function addSpreadsheetRow(sheets, values) {
 }
 
 // Delete a row from the spreadsheet
-async function deleteSpreadsheetRow(sheets, rowIndex) {
+async function deleteSpreadsheetRow(sheets, mapping, rowIndex) {
   try {
     console.log(`\nDeleting row ${rowIndex} from Google Sheet...`);
 
     // First, let's verify the row we're about to delete
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId: getSpreadsheetId(),
-      range: `Sheet1!A${rowIndex}:S${rowIndex}`,
+      range: getSheetRange(mapping, rowIndex),
     });
 
     if (response.data.values && response.data.values[0]) {
       console.log("Row to be deleted:", response.data.values[0]);
     }
 
+    const sheetId = await getSheetTabId(
+      sheets,
+      getSpreadsheetId(),
+      mapping.sheetName
+    );
+
     await sheets.spreadsheets.batchUpdate({
       spreadsheetId: getSpreadsheetId(),
       resource: {
@@ -197,7 +157,7 @@ async function deleteSpreadsheetRow(sheets, rowIndex) {
           {
             deleteDimension: {
               range: {
-                sheetId: 0,
+                sheetId,
                 dimension: "ROWS",
                 startIndex: rowIndex - 1,
                 endIndex: rowIndex,
@@ -207,6 +167,7 @@ async function deleteSpreadsheetRow(sheets, rowIndex) {
         ],
       },
     });
+    taskRowIndex.recordDelete(getSpreadsheetId(), mapping, rowIndex);
     console.log("Row deleted successfully");
   } catch (error) {
     console.error("Error deleting spreadsheet row:", error);
@@ -214,218 +175,530 @@ async function deleteSpreadsheetRow(sheets, rowIndex) {
   }
 }
 
-// Function to ensure webhook secrets sheet exists
-async function ensureWebhookSecretsSheet(sheets, spreadsheetId) {
-  try {
-    if (spreadsheetId) {
-      setSpreadsheetId(spreadsheetId);
-    }
+// Task fields needed to build a sheet row
+const TASK_OPT_FIELDS =
+  "gid,name,assignee.name,assignee.gid,completed,completed_at,custom_fields,memberships.project.name,memberships.project.gid,memberships.project.archived,memberships.section.name,tags.name,workspace.gid";
+
+// Header row of the optional Comments tab
+const COMMENT_HEADERS = [
+  "Created At",
+  "Task ID",
+  "Task Name",
+  "Author",
+  "Comment",
+  "Story ID",
+];
+
+// Build the sheet row for a task, with the mapping of the task's workspace
+// profile (extra fields, aliases, column overrides). excluded marks a task that
+// doesn't match the sheet's row rules.
+function prepareTaskRow(sheetMapping, taskData, excluded = false) {
+  const membership = taskData.memberships?.[0];
+  const { profile, mapping } = getWorkspaceMapping(
+    sheetMapping,
+    taskData.workspace?.gid
+  );
+
+  const processedTask = processTaskData(
+    taskData,
+    getCustomFieldNames(mapping),
+    profile.aliases
+  );
+
+  const rowValues = buildRow(mapping, {
+    ...processedTask,
+    project_name: membership?.project?.name || "",
+    project_id: membership?.project?.gid || "",
+    project_archived: Boolean(membership?.project?.archived),
+    excluded,
+  });
+
+  return { mapping, processedTask, rowValues };
+}
 
-    // Get the spreadsheet metadata
-    const spreadsheet = await sheets.spreadsheets.get({
-      spreadsheetId: getSpreadsheetId(),
-    });
+// Update, add, remove or skip the sheet row for a task. Rows of tasks that no
+// longer match the sheet's row rules are removed if the rules say so.
+// Returns "updated", "added", "removed" or "skipped".
+async function syncTaskToSheet(sheets, spreadsheetId, taskData) {
+  setSpreadsheetId(spreadsheetId);
+  const sheetMapping = await getColumnMapping(sheets, spreadsheetId);
+  summariesToCheck.add(spreadsheetId);
+
+  console.log("Project:", taskData.memberships[0]?.project?.name || "");
+  console.log("Project ID:", taskData.memberships[0]?.project?.gid || "");
+  console.log("Task:", taskData.name);
+  console.log("Task ID:", taskData.gid);
+  console.log("Assignee:", taskData.assignee?.name || "Unassigned");
+  console.log("Completed:", taskData.completed ? "Yes" : "No");
+
+  const qualifies = qualifiesForSheet(spreadsheetId, taskData);
+  const { mapping, processedTask, rowValues } = prepareTaskRow(
+    sheetMapping,
+    taskData,
+    !qualifies
+  );
+
+  // Check if task already exists in spreadsheet
+  const existingRowIndex = await findTaskRow(sheets, mapping, taskData.gid);
+
+  if (existingRowIndex) {
+    if (!qualifies && removesNonMatchingRows(spreadsheetId)) {
+      console.log("Task no longer matches the sheet's row rules - removing");
+      await copyToRemovedTab(sheets, spreadsheetId, mapping, [
+        { values: rowValues },
+      ]);
+      await deleteRows(sheets, spreadsheetId, mapping, [existingRowIndex]);
+      return "removed";
+    }
 
-    // Check if webhook_secrets sheet exists
-    const secretsSheet = spreadsheet.data.sheets.find(
-      (sheet) => sheet.properties.title === "webhook_secrets"
+    // Update if task exists
+    console.log(
+      `Updating existing task. Assignee: ${
+        processedTask.assignee || "Unassigned"
+      }, Completed status: ${taskData.completed ? "Yes" : "No"}`
     );
+    await updateSpreadsheetRow(sheets, mapping, existingRowIndex, rowValues);
+    return "updated";
+  }
 
-    if (!secretsSheet) {
-      // Create the webhook_secrets sheet
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId: getSpreadsheetId(),
-        resource: {
-          requests: [
-            {
-              addSheet: {
-                properties: {
-                  title: "webhook_secrets",
-                  hidden: true, // Hide the sheet from normal view
-                },
-              },
-            },
-          ],
-        },
-      });
+  if (qualifies) {
+    // Add new row if the task matches the sheet's row rules
+    console.log("Adding new task to sheet");
+    await releaseRemovedRows(sheets, spreadsheetId, mapping, [taskData.gid]);
+    await addSpreadsheetRow(sheets, mapping, taskData.gid, rowValues);
+    return "added";
+  }
 
-      // Add headers
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: getSpreadsheetId(),
-        range: "webhook_secrets!A1:B1",
+  console.log("Task does not match the sheet's row rules - skipping");
+  return "skipped";
+}
+
+// Sync many tasks in as few requests as possible: one values.batchUpdate for
+// the rows that exist, one batchUpdate deleting the rows of deletedTaskIds (and
+// of tasks that no longer match, if the sheet removes those) and one append
+// for the new rows. Returns counts of what was done.
+async function syncTasksToSheet(
+  sheets,
+  spreadsheetId,
+  tasks,
+  deletedTaskIds = []
+) {
+  setSpreadsheetId(spreadsheetId);
+  const sheetMapping = await getColumnMapping(sheets, spreadsheetId);
+  summariesToCheck.add(spreadsheetId);
+
+  const prepared = tasks.map((taskData) => {
+    const qualifies = qualifiesForSheet(spreadsheetId, taskData);
+    return {
+      taskData,
+      qualifies,
+      ...prepareTaskRow(sheetMapping, taskData, !qualifies),
+    };
+  });
+  const rowIndexes = await taskRowIndex.findRows(
+    sheets,
+    spreadsheetId,
+    sheetMapping,
+    [...tasks.map((taskData) => taskData.gid), ...deletedTaskIds]
+  );
+
+  const existing = prepared.filter(({ taskData }) =>
+    rowIndexes.has(taskData.gid)
+  );
+  const removals = removesNonMatchingRows(spreadsheetId)
+    ? existing.filter(({ qualifies }) => !qualifies)
+    : [];
+  const updates = existing.filter((entry) => !removals.includes(entry));
+  const additions = prepared.filter(
+    ({ taskData, qualifies }) => !rowIndexes.has(taskData.gid) && qualifies
+  );
+  const deletions = deletedTaskIds
+    .filter((taskId) => rowIndexes.has(taskId))
+    .map((taskId) => rowIndexes.get(taskId));
+
+  if (updates.length > 0) {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      resource: {
         valueInputOption: "RAW",
-        resource: {
-          values: [["webhook_id", "secret"]],
-        },
-      });
-    }
-  } catch (error) {
-    console.error("Error ensuring webhook secrets sheet:", error);
-    throw error;
+        data: updates.map(({ taskData, mapping, rowValues }) => ({
+          range: getSheetRange(mapping, rowIndexes.get(taskData.gid)),
+          values: [rowValues],
+        })),
+      },
+    });
   }
+
+  // Deleting after the updates keeps their row numbers valid. Rows of tasks
+  // that no longer match are copied to the Removed tab first, if the sheet
+  // moves them.
+  await copyToRemovedTab(
+    sheets,
+    spreadsheetId,
+    sheetMapping,
+    removals.map(({ rowValues }) => ({ values: rowValues }))
+  );
+  const deleted = await deleteRows(sheets, spreadsheetId, sheetMapping, [
+    ...deletions,
+    ...removals.map(({ taskData }) => rowIndexes.get(taskData.gid)),
+  ]);
+
+  await releaseRemovedRows(
+    sheets,
+    spreadsheetId,
+    sheetMapping,
+    additions.map(({ taskData }) => taskData.gid)
+  );
+  if (additions.length > 0) {
+    // Profiles can add columns; append over the widest layout
+    const appendMapping = additions.reduce(
+      (widest, { mapping }) =>
+        mapping.columns.length > widest.columns.length ? mapping : widest,
+      sheetMapping
+    );
+    const response = await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: getSheetRange(appendMapping),
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      resource: {
+        values: additions.map(({ rowValues }) => rowValues),
+      },
+    });
+    taskRowIndex.recordAppend(
+      spreadsheetId,
+      sheetMapping,
+      additions.map(({ taskData }) => taskData.gid),
+      response.data.updates?.updatedRange
+    );
+  }
+
+  const summary = {
+    updated: updates.length,
+    added: additions.length,
+    removed: removals.length,
+    skipped: prepared.length - existing.length - additions.length,
+    deleted: deleted - removals.length,
+  };
+  console.log("Synced tasks to sheet:", summary);
+  return summary;
 }
 
-// Function to store webhook secret
-async function storeWebhookSecret(sheets, webhookId, secret, spreadsheetId) {
-  try {
-    if (spreadsheetId) {
-      setSpreadsheetId(spreadsheetId);
-    }
+// Delete the sheet row for a task. Returns "deleted" or "missing".
+async function removeTaskFromSheet(sheets, spreadsheetId, taskGid) {
+  setSpreadsheetId(spreadsheetId);
+  const mapping = await getColumnMapping(sheets, spreadsheetId);
 
-    console.log("\n=== Storing Webhook Secret ===");
-    console.log("Webhook ID:", webhookId);
-    console.log("Secret:", secret);
+  const rowIndex = await findTaskRow(sheets, mapping, taskGid);
+  if (!rowIndex) {
+    console.log("Task not found in spreadsheet, no deletion needed");
+    return "missing";
+  }
 
-    try {
-      await ensureWebhookSecretsSheet(sheets, spreadsheetId);
-    } catch (error) {
-      console.error(
-        "Error ensuring webhook_secrets sheet exists:",
-        error.message
-      );
-      if (error.code === 429) {
-        console.log(
-          "Rate limited when creating webhook_secrets sheet. Waiting and retrying..."
-        );
-        await new Promise((resolve) => setTimeout(resolve, 5000));
-        await ensureWebhookSecretsSheet(sheets, spreadsheetId);
-      } else {
-        throw error;
-      }
-    }
+  console.log(`Found task to delete at row ${rowIndex}`);
+  await deleteSpreadsheetRow(sheets, mapping, rowIndex);
+  console.log(`Deleted row ${rowIndex} from spreadsheet`);
+  return "deleted";
+}
 
-    // First check if this webhook ID already exists - with retry
-    let rows = [];
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: getSpreadsheetId(),
-        range: "webhook_secrets!A:B",
-      });
-      rows = response.data.values || [];
-      console.log("Current rows in webhook_secrets sheet:", rows);
-    } catch (error) {
-      console.error("Error fetching webhook secrets:", error.message);
-      if (error.code === 429) {
-        console.log(
-          "Rate limited when fetching webhook secrets. Waiting and retrying..."
-        );
-        await new Promise((resolve) => setTimeout(resolve, 5000));
-        const response = await sheets.spreadsheets.values.get({
-          spreadsheetId: getSpreadsheetId(),
-          range: "webhook_secrets!A:B",
-        });
-        rows = response.data.values || [];
-      } else {
-        throw error;
-      }
+// Apply task changes to the webhook's spreadsheet and every spreadsheet the
+// tasks are routed to (see sheetRoutes.js). deletions are
+// [{ taskId, projectId }], projectId being unknown for deleted tasks. A routed
+// sheet whose filter rejects a task (e.g. after its assignee changed) has the
+// task's row deleted, so it doesn't keep a stale one.
+async function syncRoutedTasks(sheets, spreadsheetId, tasks, deletions = []) {
+  const batches = new Map();
+  const batchFor = (targetId) => {
+    if (!batches.has(targetId)) {
+      batches.set(targetId, { tasks: [], deletedTaskIds: [] });
     }
+    return batches.get(targetId);
+  };
 
-    // Instead of clearing the sheet, we'll just append or update
-    // This reduces the number of API calls
-    const existingSecrets = rows.slice(1); // Skip header
-    const existingIndex = existingSecrets.findIndex(
-      (row) => row[0] === webhookId
+  tasks.forEach((task) => {
+    getRouteTargets(spreadsheetId, getTaskRouteContext(task)).forEach(
+      (target) => {
+        const batch = batchFor(target.spreadsheetId);
+        if (targetAcceptsTask(target, task)) {
+          batch.tasks.push(task);
+        } else {
+          batch.deletedTaskIds.push(task.gid);
+        }
+      }
+    );
+  });
+  deletions.forEach(({ taskId, projectId }) => {
+    getRouteTargets(spreadsheetId, { projectId }).forEach((target) =>
+      batchFor(target.spreadsheetId).deletedTaskIds.push(taskId)
     );
+  });
 
-    if (existingIndex !== -1) {
-      // Update existing secret
-      console.log(`Updating existing webhook secret for ${webhookId}`);
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: getSpreadsheetId(),
-        range: `webhook_secrets!A${existingIndex + 2}:B${existingIndex + 2}`, // +2 for header and 1-indexed
-        valueInputOption: "RAW",
-        resource: {
-          values: [[webhookId, secret]],
-        },
-      });
-    } else {
-      // Add new secret
-      console.log(`Adding new webhook secret for ${webhookId}`);
-      await sheets.spreadsheets.values.append({
-        spreadsheetId: getSpreadsheetId(),
-        range: "webhook_secrets!A:B",
-        valueInputOption: "RAW",
-        insertDataOption: "INSERT_ROWS",
-        resource: {
-          values: [[webhookId, secret]],
-        },
-      });
+  for (const [targetId, batch] of batches) {
+    if (targetId !== spreadsheetId) {
+      console.log(`Routing task changes to spreadsheet ${targetId}`);
     }
+    await syncTasksToSheet(sheets, targetId, batch.tasks, batch.deletedTaskIds);
+  }
+}
 
-    console.log(`Webhook secret for ${webhookId} stored successfully`);
+const isNotFound = (error) =>
+  error.status === 404 || error.response?.status === 404;
+
+// Fetch a task and update (or add) its rows
+async function refreshTaskRow(sheets, spreadsheetId, taskGid) {
+  console.log("\nFetching task details...");
+  let task;
+  try {
+    task = await tasksApi.getTask(taskGid, {
+      opt_fields: TASK_OPT_FIELDS,
+    });
   } catch (error) {
-    console.error("Error storing webhook secret:", error);
-    throw error;
+    if (!isNotFound(error)) throw error;
+    // Deleted since the event was sent
+    console.log(`Task ${taskGid} no longer exists - deleting its row`);
+    await syncRoutedTasks(sheets, spreadsheetId, [], [{ taskId: taskGid }]);
+    return;
   }
+  await syncRoutedTasks(sheets, spreadsheetId, [task.data]);
 }
 
-// Function to get all webhook secrets
-async function getWebhookSecrets(sheets, spreadsheetId) {
-  try {
-    if (spreadsheetId) {
-      setSpreadsheetId(spreadsheetId);
+// The project a task was removed from, when the event says so
+function getEventProjectId(event) {
+  return event.parent?.resource_type === "project"
+    ? event.parent.gid
+    : undefined;
+}
+
+// What a task event asks for: "refresh" the row from Asana, "delete" it, or
+// null for actions we don't handle
+function getTaskEventAction(event) {
+  switch (event.action) {
+    case "changed":
+    case "added":
+      return "refresh";
+    case "removed":
+      // Removed from a section means moved to another section, not out of
+      // the project
+      return event.parent?.resource_type === "section" ? "refresh" : "delete";
+    case "deleted":
+      return "delete";
+    default:
+      return null;
+  }
+}
+
+async function handleTaskEvent(sheets, event, spreadsheetId) {
+  const taskGid = event.resource.gid;
+
+  switch (getTaskEventAction(event)) {
+    case "refresh":
+      await refreshTaskRow(sheets, spreadsheetId, taskGid);
+      break;
+
+    case "delete":
+      console.log(`\nHandling task ${event.action} for task ID: ${taskGid}`);
+      await syncRoutedTasks(
+        sheets,
+        spreadsheetId,
+        [],
+        [{ taskId: taskGid, projectId: getEventProjectId(event) }]
+      );
+      break;
+
+    default:
+      console.log(`Ignoring task action "${event.action}"`);
+  }
+}
+
+// Comments go to the optional Comments tab (enabled per sheet in the settings)
+// of every sheet the commented task is routed to and passes the filter of
+async function handleStoryEvent(sheets, event, spreadsheetId) {
+  const getCommentSettings = (targetId) =>
+    getSheetSettings(targetId).comments || {};
+  const anyEnabled = getRouteTargets(spreadsheetId).some(
+    (target) => getCommentSettings(target.spreadsheetId).enabled
+  );
+  if (!anyEnabled) {
+    console.log("Comments tab is not enabled for this sheet - skipping");
+    return;
+  }
+  if (event.action !== "added") {
+    console.log(`Ignoring story action "${event.action}"`);
+    return;
+  }
+
+  const story = await storiesApi.getStory(event.resource.gid, {
+    opt_fields:
+      "gid,text,created_at,created_by.name,resource_subtype,target.gid,target.name,target.memberships.project.gid,target.workspace.gid",
+  });
+  const storyData = story.data;
+  if (storyData.resource_subtype !== "comment_added") {
+    console.log(`Ignoring story of type "${storyData.resource_subtype}"`);
+    return;
+  }
+
+  // The full task, fetched only if a filter needs it
+  let task = null;
+  const getFilterTask = async () => {
+    if (!task) {
+      const response = await tasksApi.getTask(storyData.target.gid, {
+        opt_fields: TASK_OPT_FIELDS,
+      });
+      task = response.data;
     }
+    return task;
+  };
 
-    try {
-      await ensureWebhookSecretsSheet(sheets, spreadsheetId);
-    } catch (error) {
-      console.error(
-        "Error ensuring webhook_secrets sheet exists:",
-        error.message
+  const targets = getRouteTargets(
+    spreadsheetId,
+    getTaskRouteContext(storyData.target || {})
+  );
+  for (const target of targets) {
+    const settings = getCommentSettings(target.spreadsheetId);
+    if (!settings.enabled) continue;
+    const unfiltered = target.filters.some((filter) => !filter);
+    if (!unfiltered && !targetAcceptsTask(target, await getFilterTask())) {
+      console.log(
+        `Task ${storyData.target.gid} is filtered out of ${target.spreadsheetId} - skipping its comment`
       );
-      if (error.code === 429) {
-        console.log(
-          "Rate limited when creating webhook_secrets sheet. Waiting and retrying..."
-        );
-        await new Promise((resolve) => setTimeout(resolve, 5000));
-        await ensureWebhookSecretsSheet(sheets, spreadsheetId);
-      } else {
-        throw error;
-      }
+      continue;
     }
 
-    // Get webhook secrets with retry logic
-    let response;
-    try {
-      response = await sheets.spreadsheets.values.get({
-        spreadsheetId: getSpreadsheetId(),
-        range: "webhook_secrets!A2:B",
-      });
-    } catch (error) {
-      console.error("Error fetching webhook secrets:", error.message);
-      if (error.code === 429) {
-        console.log(
-          "Rate limited when fetching webhook secrets. Waiting and retrying..."
-        );
-        await new Promise((resolve) => setTimeout(resolve, 5000));
-        response = await sheets.spreadsheets.values.get({
-          spreadsheetId: getSpreadsheetId(),
-          range: "webhook_secrets!A2:B",
-        });
-      } else {
-        throw error;
-      }
+    const sheetName = settings.sheetName || "Comments";
+    await ensureSheetTab(
+      sheets,
+      target.spreadsheetId,
+      sheetName,
+      COMMENT_HEADERS
+    );
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: target.spreadsheetId,
+      range: `${quoteSheetName(sheetName)}!A:F`,
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      resource: {
+        values: [
+          [
+            storyData.created_at || "",
+            storyData.target?.gid || "",
+            storyData.target?.name || "",
+            storyData.created_by?.name || "",
+            storyData.text || "",
+            storyData.gid,
+          ],
+        ],
+      },
+    });
+    console.log(
+      `Added comment ${storyData.gid} to the ${sheetName} tab of ${target.spreadsheetId}`
+    );
+  }
+}
+
+// A renamed section changes the Section column of the rows of its tasks
+async function handleSectionEvent(sheets, event, spreadsheetId) {
+  if (event.action !== "changed") {
+    console.log(`Ignoring section action "${event.action}"`);
+    return;
+  }
+
+  let hasSectionColumn = false;
+  for (const target of getRouteTargets(spreadsheetId)) {
+    const mapping = await getColumnMapping(sheets, target.spreadsheetId);
+    if (getColumnIndex(mapping, "task.section") !== -1) {
+      hasSectionColumn = true;
+      break;
     }
+  }
+  if (!hasSectionColumn) {
+    console.log("Column mapping has no Section column - skipping");
+    return;
+  }
 
-    const secrets = new Map();
-    if (response.data.values) {
-      response.data.values.forEach(([webhookId, secret]) => {
-        if (secret) {
-          // Only add valid secrets
-          secrets.set(secret, true);
-        }
-      });
+  const sectionGid = event.resource.gid;
+  const tasks = [];
+  let offset = null;
+  do {
+    const response = await tasksApi.getTasksForSection(sectionGid, {
+      opt_fields: TASK_OPT_FIELDS,
+      completed_since: "2000-01-01T00:00:00.000Z",
+      limit: 100,
+      ...(offset ? { offset } : {}),
+    });
+    tasks.push(...(response.data || []));
+    offset = response.next_page?.offset;
+  } while (offset);
+
+  await syncRoutedTasks(sheets, spreadsheetId, tasks);
+}
+
+// A renamed project changes the Project Name column of its rows; an archived
+// (or unarchived) project gets the sheet's archive treatment. Applies to every
+// sheet the project is routed to. Events without a changed field (Asana sends
+// some) only rename, and apply the archive treatment if the project is
+// archived, so unrelated project edits don't touch the rows.
+async function handleProjectEvent(sheets, event, spreadsheetId) {
+  if (event.action !== "changed") {
+    console.log(`Ignoring project action "${event.action}"`);
+    return;
+  }
+
+  const projectId = event.resource.gid;
+  const project = await projectsApi.getProject(projectId, {
+    opt_fields: "name,archived,workspace.gid",
+  });
+  const changedField = event.change?.field;
+  const targets = getRouteTargets(spreadsheetId, {
+    projectId,
+    workspaceId: project.data.workspace?.gid,
+  });
+
+  for (const target of targets) {
+    if (!changedField || changedField === "name") {
+      await updateProjectNameRows(
+        sheets,
+        target.spreadsheetId,
+        projectId,
+        project.data.name
+      );
     }
+    if (
+      changedField === "archived" ||
+      (!changedField && project.data.archived)
+    ) {
+      await setProjectArchived(
+        sheets,
+        target.spreadsheetId,
+        projectId,
+        Boolean(project.data.archived)
+      );
+    }
+  }
+}
 
-    console.log(`Retrieved ${secrets.size} webhook secrets`);
-    return secrets;
-  } catch (error) {
-    console.error("Error getting webhook secrets:", error);
-    return new Map(); // Return empty map on error to prevent complete failure
+// Route a webhook event by the type of resource it is about
+async function routeWebhookEvent(sheets, event, spreadsheetId) {
+  switch (event.resource.resource_type) {
+    case "task":
+      await handleTaskEvent(sheets, event, spreadsheetId);
+      break;
+    case "story":
+      await handleStoryEvent(sheets, event, spreadsheetId);
+      break;
+    case "section":
+      await handleSectionEvent(sheets, event, spreadsheetId);
+      break;
+    case "project":
+      await handleProjectEvent(sheets, event, spreadsheetId);
+      break;
+    default:
+      console.log(
+        `Ignoring event for unsupported resource type "${event.resource.resource_type}"`
+      );
   }
 }
 
-// Handle webhook events
+// Handle a single webhook event
 async function handleWebhookEvent(event, spreadsheetId) {
   try {
     console.log("\n=== Webhook Event Received ===");
@@ -435,133 +708,145 @@ async function handleWebhookEvent(event, spreadsheetId) {
 
     const sheets = await getGoogleSheetsClient();
     setSpreadsheetId(spreadsheetId);
+    await routeWebhookEvent(sheets, event, spreadsheetId);
+  } catch (error) {
+    console.error("Error handling webhook event:", error);
+    throw error;
+  }
+}
 
-    // Get task details
-    const taskGid = event.resource.gid;
-
-    switch (event.action) {
-      case "changed":
-      case "added": {
-        const opts = {
-          opt_fields:
-            "gid,name,assignee.name,assignee.gid,completed,completed_at,custom_fields,memberships.project.name,memberships.project.gid",
-        };
-
-        console.log("\nFetching task details...");
-        const task = await tasksApi.getTask(taskGid, opts);
-        const taskData = task.data;
-
-        const projectName = taskData.memberships[0]?.project?.name || "";
-        const projectId = taskData.memberships[0]?.project?.gid || "";
-        const isAssignedToManager = taskData.assignee?.name === "Manager";
-        const isAssignedToWithdrawals =
-          taskData.assignee?.name === "Withdrawals";
-        const isAssignedToWithdraws = taskData.assignee?.name === "Withdraws";
-
-        console.log("Project:", projectName);
-        console.log("Project ID:", projectId);
-        console.log("Task:", taskData.name);
-        console.log("Task ID:", taskData.gid);
-        console.log("Assignee:", taskData.assignee?.name || "Unassigned");
-        console.log("Completed:", taskData.completed ? "Yes" : "No");
-        console.log("Assigned to Manager:", isAssignedToManager ? "Yes" : "No");
-        console.log(
-          "Assigned to Withdrawals:",
-          isAssignedToWithdrawals ? "Yes" : "No"
-        );
-        console.log(
-          "Assigned to Withdraws:",
-          isAssignedToWithdraws ? "Yes" : "No"
-        );
+// Reduce task events to one action per task. Later events win, so a delete
+// overrides earlier changes (and a later change overrides a removal from a
+// section). Events about other resources are kept as they are, in order.
+function coalesceEvents(events) {
+  const taskActions = new Map();
+  const otherEvents = [];
+
+  events.forEach((event) => {
+    if (event.resource?.resource_type !== "task") {
+      otherEvents.push(event);
+      return;
+    }
 
-        // Get workspace ID from project memberships
-        const workspaceId = taskData.memberships[0]?.project?.workspace?.gid;
-        const processedTask = processTaskData(taskData, workspaceId);
-
-        // Create row values array
-        const rowValues = [
-          projectName,
-          processedTask.task_name,
-          processedTask.assignee || "",
-          processedTask.completed_at,
-          processedTask["Worker"] || "",
-          processedTask["Status"] || "",
-          processedTask["Paid with..."] || "",
-          processedTask["Deposit"] || "",
-          processedTask["Bonus"] || "",
-          processedTask["Max bet"] || "",
-          processedTask["WG"] || "",
-          processedTask["Max win"] || "",
-          processedTask["Balance"] || "",
-          processedTask["Groups"] || "",
-          processedTask["Received"] || "",
-          processedTask["RM/BM"] || "",
-          projectId,
-          taskData.gid,
-          taskData.completed ? "Yes" : "No",
-        ];
-
-        // Add lowercase balance for specific workspace
-        if (workspaceId === "1205846480740952") {
-          rowValues.push(processedTask["balance"] || "");
-        }
+    const action = getTaskEventAction(event);
+    if (!action) {
+      console.log(`Ignoring task action "${event.action}"`);
+      return;
+    }
+    taskActions.set(event.resource.gid, {
+      action,
+      projectId: getEventProjectId(event),
+    });
+  });
 
-        // Check if task already exists in spreadsheet
-        const existingRowIndex = await findTaskRow(sheets, taskData.gid);
-
-        if (existingRowIndex) {
-          // Update if task exists
-          console.log(
-            `Updating existing task. Assignee: ${
-              processedTask.assignee || "Unassigned"
-            }, Completed status: ${taskData.completed ? "Yes" : "No"}`
-          );
-          await updateSpreadsheetRow(sheets, existingRowIndex, rowValues);
-        } else if (
-          taskData.completed ||
-          isAssignedToManager ||
-          isAssignedToWithdrawals ||
-          isAssignedToWithdraws
-        ) {
-          // Add new row if task is completed OR assigned to Manager/Withdrawals/Withdraws
-          console.log(
-            taskData.completed
-              ? "Adding new completed task to sheet"
-              : `Adding new task assigned to ${taskData.assignee.name} to sheet`
-          );
-          await addSpreadsheetRow(sheets, rowValues);
-        } else {
-          console.log(
-            "Task is not completed and not assigned to Manager/Withdrawals/Withdraws - skipping"
-          );
+  return { taskActions, otherEvents };
+}
+
+// Handle a batch of webhook events for one spreadsheet. Each task is fetched
+// once and the task rows of each routed sheet are written together (see
+// syncTasksToSheet). A task that no longer exists is handled as deleted.
+// Events that fail on their own (a task that can't be fetched, a story or
+// project event) don't hold up the rest: the batch is applied without them
+// and the error thrown at the end lists them as failedEvents
+// ([{ event, error }]), so only they are retried.
+async function handleWebhookEvents(events, spreadsheetId) {
+  try {
+    console.log(`\n=== Processing ${events.length} Webhook Events ===`);
+    const sheets = await getGoogleSheetsClient();
+    setSpreadsheetId(spreadsheetId);
+
+    const { taskActions, otherEvents } = coalesceEvents(events);
+    const failedEvents = [];
+
+    if (taskActions.size > 0) {
+      const tasks = [];
+      const deletions = [];
+
+      for (const [taskGid, { action, projectId }] of taskActions) {
+        if (action === "delete") {
+          deletions.push({ taskId: taskGid, projectId });
+          continue;
+        }
+        try {
+          const task = await tasksApi.getTask(taskGid, {
+            opt_fields: TASK_OPT_FIELDS,
+          });
+          tasks.push(task.data);
+        } catch (error) {
+          if (isNotFound(error)) {
+            console.log(`Task ${taskGid} no longer exists - deleting its row`);
+            deletions.push({ taskId: taskGid, projectId });
+            continue;
+          }
+          console.error(`Error fetching task ${taskGid}:`, error.message);
+          events
+            .filter(
+              (event) =>
+                event.resource?.resource_type === "task" &&
+                event.resource.gid === taskGid
+            )
+            .forEach((event) => failedEvents.push({ event, error }));
         }
-        break;
       }
 
-      case "removed":
-      case "deleted": {
-        console.log(`\nHandling task deletion for task ID: ${taskGid}`);
-        const rowIndex = await findTaskRow(sheets, taskGid);
-        if (rowIndex) {
-          console.log(`Found task to delete at row ${rowIndex}`);
-          await deleteSpreadsheetRow(sheets, rowIndex);
-          console.log(`Deleted row ${rowIndex} from spreadsheet`);
-        } else {
-          console.log("Task not found in spreadsheet, no deletion needed");
-        }
-        break;
+      console.log(
+        `Coalesced ${events.length - otherEvents.length} task events into ${taskActions.size} tasks`
+      );
+      await syncRoutedTasks(sheets, spreadsheetId, tasks, deletions);
+    }
+
+    for (const event of otherEvents) {
+      try {
+        await routeWebhookEvent(sheets, event, spreadsheetId);
+      } catch (error) {
+        console.error(
+          `Error handling ${event.resource?.resource_type} event:`,
+          error.message
+        );
+        failedEvents.push({ event, error });
       }
     }
+
+    if (failedEvents.length > 0) {
+      const error = new Error(
+        `${failedEvents.length} of ${events.length} webhook events failed: ${failedEvents[0].error.message}`
+      );
+      error.failedEvents = failedEvents;
+      throw error;
+    }
   } catch (error) {
-    console.error("Error handling webhook event:", error);
+    console.error("Error handling webhook events:", error);
     throw error;
   }
 }
 
+// Check the Summary tabs of the sheets written since the last call (see
+// summaryTab.js). Call it after the writes, outside the Sheets rate limiter:
+// ensureSummary sends its requests through the limiter, so inside a limited
+// operation it would wait for itself forever. Never throws.
+async function ensureSummaries() {
+  if (summariesToCheck.size === 0) return;
+  const spreadsheetIds = [...summariesToCheck];
+  summariesToCheck.clear();
+
+  try {
+    const sheets = await getGoogleSheetsClient();
+    for (const spreadsheetId of spreadsheetIds) {
+      const mapping = await getColumnMapping(sheets, spreadsheetId);
+      await ensureSummary(sheets, spreadsheetId, mapping);
+    }
+  } catch (error) {
+    console.error("Error checking the summary tabs:", error);
+  }
+}
+
 module.exports = {
+  TASK_OPT_FIELDS,
   handleWebhookEvent,
-  storeWebhookSecret,
-  getWebhookSecrets,
-  ensureWebhookSecretsSheet,
+  handleWebhookEvents,
+  ensureSummaries,
+  syncTaskToSheet,
+  syncTasksToSheet,
+  removeTaskFromSheet,
   setSpreadsheetId,
 };
@@ -0,0 +1,151 @@
+const { readJsonFile, writeJsonFile } = require("./localStore");
+const {
+  getWebhookTargetUrl,
+  getTargetSheetId,
+  listWebhooks,
+} = require("./asanaWebhooks");
+const { applyWebhookSync } = require("./webhookSync");
+
+// Health of the project webhooks, from Asana's delivery fields (active,
+// last_success_at, last_failure_at, last_failure_content) and from the
+// deliveries this server received. Asana deactivates a webhook after its
+// deliveries have failed for a while, and then sends nothing more.
+const DELIVERIES_FILE = "webhook-deliveries.json";
+// Deliveries are saved at most this often, not on every request
+const SAVE_DELAY_MS = 5000;
+
+let deliveries = null;
+let saveTimer = null;
+
+function loadDeliveries() {
+  if (!deliveries) {
+    deliveries = readJsonFile(DELIVERIES_FILE, {});
+  }
+  return deliveries;
+}
+
+function getDeliveryKey(spreadsheetId, resourceId) {
+  return `${spreadsheetId}:${resourceId || ""}`;
+}
+
+// Record that a verified delivery reached this server
+function recordDelivery(spreadsheetId, { resourceId, webhookId }) {
+  loadDeliveries()[getDeliveryKey(spreadsheetId, resourceId)] = {
+    webhookId: webhookId || null,
+    lastDeliveredAt: new Date().toISOString(),
+  };
+
+  if (!saveTimer) {
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        writeJsonFile(DELIVERIES_FILE, deliveries);
+      } catch (error) {
+        console.error("Error saving webhook deliveries:", error.message);
+      }
+    }, SAVE_DELAY_MS);
+  }
+}
+
+function getLastDeliveredAt(webhook) {
+  const records = loadDeliveries();
+  const byTarget =
+    records[
+      getDeliveryKey(getTargetSheetId(webhook.target), webhook.resource?.gid)
+    ];
+  if (byTarget) return byTarget.lastDeliveredAt;
+
+  const byWebhook = Object.values(records).find(
+    (record) => record.webhookId === webhook.gid
+  );
+  return byWebhook ? byWebhook.lastDeliveredAt : null;
+}
+
+// "inactive" (Asana stopped delivering), "failing" (the latest delivery
+// failed) or "healthy"
+function getWebhookStatus(webhook) {
+  if (!webhook.active) return "inactive";
+  if (
+    webhook.last_failure_at &&
+    (!webhook.last_success_at ||
+      new Date(webhook.last_failure_at) > new Date(webhook.last_success_at))
+  ) {
+    return "failing";
+  }
+  return "healthy";
+}
+
+// Check the webhooks of a workspace, optionally of one project or sheet
+async function checkWebhookHealth(
+  workspaceId,
+  { projectId = null, sheetId = null } = {}
+) {
+  const webhooks = (await listWebhooks(workspaceId, { projectId })).filter(
+    (webhook) => !sheetId || getTargetSheetId(webhook.target) === sheetId
+  );
+  const counts = { healthy: 0, failing: 0, inactive: 0 };
+
+  const results = webhooks.map((webhook) => {
+    const status = getWebhookStatus(webhook);
+    counts[status]++;
+    return {
+      status,
+      webhook,
+      gid: webhook.gid,
+      projectId: webhook.resource?.gid,
+      projectName: webhook.resource?.name,
+      sheetId: getTargetSheetId(webhook.target),
+      target: webhook.target,
+      active: webhook.active,
+      lastSuccessAt: webhook.last_success_at || null,
+      lastFailureAt: webhook.last_failure_at || null,
+      lastFailureContent: webhook.last_failure_content || null,
+      lastDeliveredAt: getLastDeliveredAt(webhook),
+    };
+  });
+
+  return {
+    checkedAt: new Date().toISOString(),
+    total: results.length,
+    counts,
+    webhooks: results,
+  };
+}
+
+// Re-create the inactive and failing webhooks of a health report, on the same
+// target URL. Returns the counts of applyWebhookSync.
+async function repairWebhooks(report, { dryRun = false } = {}) {
+  const unhealthy = report.webhooks.filter(
+    ({ status }) => status !== "healthy"
+  );
+
+  return applyWebhookSync(
+    {
+      remove: unhealthy.map(({ webhook, status }) => ({
+        webhook,
+        reason: status,
+        replaced: true,
+      })),
+      create: unhealthy.map(({ webhook }) => ({
+        project: { gid: webhook.resource?.gid, name: webhook.resource?.name },
+        targetUrl: getWebhookTargetUrl(webhook.target),
+      })),
+    },
+    { dryRun }
+  );
+}
+
+// A report without the raw webhooks, for the API and the CLI
+function summarizeHealth(report) {
+  return {
+    ...report,
+    webhooks: report.webhooks.map(({ webhook, ...result }) => result),
+  };
+}
+
+module.exports = {
+  recordDelivery,
+  checkWebhookHealth,
+  repairWebhooks,
+  summarizeHealth,
+};
@@ -0,0 +1,50 @@
+// In-memory counters for webhook deliveries, reset when the server restarts.
+// Invalid attempts keep some detail so they can be investigated.
+const RECENT_INVALID_LIMIT = 50;
+
+const metrics = {
+  since: new Date().toISOString(),
+  handshakes: 0,
+  verified: 0,
+  invalid: {
+    signature: 0,
+    unknownSecret: 0,
+    missingHeaders: 0,
+    unexpectedHandshake: 0,
+  },
+  recentInvalid: [],
+};
+
+function recordHandshake() {
+  metrics.handshakes++;
+}
+
+function recordVerified() {
+  metrics.verified++;
+}
+
+// Record a rejected delivery. reason is one of the metrics.invalid keys.
+function recordInvalid(reason, details = {}) {
+  metrics.invalid[reason] = (metrics.invalid[reason] || 0) + 1;
+  metrics.recentInvalid.unshift({
+    at: new Date().toISOString(),
+    reason,
+    ...details,
+  });
+  metrics.recentInvalid.length = Math.min(
+    metrics.recentInvalid.length,
+    RECENT_INVALID_LIMIT
+  );
+  console.log(`Rejected webhook delivery (${reason})`, details);
+}
+
+function getWebhookMetrics() {
+  return metrics;
+}
+
+module.exports = {
+  recordHandshake,
+  recordVerified,
+  recordInvalid,
+  getWebhookMetrics,
+};
@@ -0,0 +1,58 @@
+const crypto = require("node:crypto");
+
+// Asana signs each delivery with HMAC-SHA256 of the raw request body, keyed by
+// the secret sent in the webhook's handshake.
+
+// Compare a signature with the one computed from the raw body, in constant time
+function signatureMatches(rawBody, signature, secret) {
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const received = Buffer.from(String(signature), "hex");
+
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+}
+
+// Pick the stored secrets that may have signed a delivery. Secrets are looked
+// up by webhook ID or resource ID; secrets stored before resource IDs were
+// recorded are tried when no secret is known for the resource.
+function getCandidateSecrets(secrets, { webhookId, resourceId } = {}) {
+  if (webhookId) {
+    const byWebhook = secrets.filter((entry) => entry.webhookId === webhookId);
+    if (byWebhook.length > 0) return byWebhook;
+  }
+  if (resourceId) {
+    const byResource = secrets.filter(
+      (entry) => entry.resourceId === resourceId
+    );
+    if (byResource.length > 0) return byResource;
+    return secrets.filter((entry) => !entry.resourceId);
+  }
+  return secrets;
+}
+
+// Find the stored secret that signed a delivery, or null.
+// secrets are [{ webhookId, resourceId, secret }] (see getWebhookSecrets).
+function findSigningSecret(secrets, rawBody, signature, ids) {
+  if (!rawBody || !signature) return null;
+  return (
+    getCandidateSecrets(secrets, ids).find((entry) =>
+      signatureMatches(rawBody, signature, entry.secret)
+    ) || null
+  );
+}
+
+// Add the resource ID to a webhook target URL, so deliveries can be verified
+// against that resource's secret
+function withResourceId(targetUri, resourceId) {
+  const url = new URL(targetUri);
+  url.searchParams.set("resource", resourceId);
+  return url.toString();
+}
+
+module.exports = {
+  signatureMatches,
+  findSigningSecret,
+  withResourceId,
+};
@@ -0,0 +1,209 @@
+const { getSettingsSection } = require("./syncSettings");
+const { WEBHOOK_FILTERS } = require("./webhookFilters");
+const { describeAsanaError } = require("./asanaHttp");
+const {
+  buildTargetUrl,
+  getProjectTargetUrl,
+  getWebhookTargetUrl,
+  describeWebhook,
+  listWebhooks,
+  listActiveProjects,
+  createProjectWebhook,
+  deleteWebhook,
+} = require("./asanaWebhooks");
+
+// Desired-state sync of project webhooks. The webhooks we want are each
+// target's projects × the target URL × WEBHOOK_FILTERS. Targets are declared in
+// the settings file (or given on the command line):
+//
+//   "webhookTargets": [
+//     {
+//       "url": "https://my-server.example.com",
+//       "sheetId": "...",
+//       "workspace": "1205846480740952",
+//       "projects": ["1201234567890"]
+//     }
+//   ]
+//
+// A target without projects covers every active project of its workspace
+// (default ASANA_WORKSPACE_ID). Only webhooks on a target URL are ever deleted;
+// webhooks on other URLs are left alone.
+
+// Pause between webhook creations, each of which runs a handshake with the
+// server
+const CREATE_DELAY_MS = 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function getWebhookTargets() {
+  return getSettingsSection("webhookTargets", []);
+}
+
+// Comparable form of a filter list, independent of order
+function getFiltersKey(filters) {
+  return (filters || [])
+    .map((filter) =>
+      JSON.stringify([
+        filter.resource_type,
+        filter.resource_subtype || null,
+        filter.action || null,
+        [...(filter.fields || [])].sort(),
+      ])
+    )
+    .sort()
+    .join("|");
+}
+
+// Resolve targets into the desired state and the webhooks that exist:
+// { targets: [{ targetUrl, projects }], webhooks }. projectId narrows both to
+// one project.
+async function loadWebhookState(targets, { workspaceId, projectId = null }) {
+  const projectsByWorkspace = new Map();
+  const webhooksByWorkspace = new Map();
+  const resolved = [];
+
+  for (const target of targets) {
+    const targetWorkspaceId = target.workspace || workspaceId;
+    if (!projectsByWorkspace.has(targetWorkspaceId)) {
+      projectsByWorkspace.set(
+        targetWorkspaceId,
+        await listActiveProjects(targetWorkspaceId)
+      );
+      webhooksByWorkspace.set(
+        targetWorkspaceId,
+        await listWebhooks(targetWorkspaceId, { projectId })
+      );
+    }
+
+    const projects = projectsByWorkspace
+      .get(targetWorkspaceId)
+      .filter(
+        (project) =>
+          (!target.projects?.length || target.projects.includes(project.gid)) &&
+          (!projectId || project.gid === projectId)
+      );
+    resolved.push({
+      targetUrl: buildTargetUrl(target.url, target.sheetId),
+      projects,
+    });
+  }
+
+  return {
+    targets: resolved,
+    webhooks: [...webhooksByWorkspace.values()].flat(),
+  };
+}
+
+// Compare the desired webhooks with the existing ones. Returns
+//   create: [{ project, targetUrl }] missing webhooks
+//   remove: [{ webhook, reason, replaced }] stale webhooks on a target URL
+//           (replaced: a webhook for the same project and URL is created)
+//   unchanged: number of webhooks already as desired
+//   unmanaged: webhooks on other URLs, left alone
+function planWebhookSync({ targets, webhooks }) {
+  const desired = new Map();
+  targets.forEach(({ targetUrl, projects }) =>
+    projects.forEach((project) =>
+      desired.set(getProjectTargetUrl(targetUrl, project.gid), {
+        project,
+        targetUrl,
+      })
+    )
+  );
+  const targetUrls = new Set(targets.map(({ targetUrl }) => targetUrl));
+  const expectedFilters = getFiltersKey(WEBHOOK_FILTERS);
+
+  const covered = new Set();
+  const remove = [];
+  const unmanaged = [];
+
+  webhooks.forEach((webhook) => {
+    const targetUrl = getWebhookTargetUrl(webhook.target);
+    if (!targetUrls.has(targetUrl)) {
+      unmanaged.push(webhook);
+      return;
+    }
+
+    const projectTarget = getProjectTargetUrl(targetUrl, webhook.resource?.gid);
+    if (!desired.has(projectTarget)) {
+      remove.push({ webhook, reason: "project not watched" });
+    } else if (webhook.target !== projectTarget) {
+      remove.push({ webhook, reason: "target without resource ID" });
+    } else if (!webhook.active) {
+      remove.push({ webhook, reason: "inactive", replaced: true });
+    } else if (getFiltersKey(webhook.filters) !== expectedFilters) {
+      remove.push({ webhook, reason: "filters changed", replaced: true });
+    } else if (covered.has(projectTarget)) {
+      remove.push({ webhook, reason: "duplicate" });
+    } else {
+      covered.add(projectTarget);
+    }
+  });
+
+  const create = [...desired.entries()]
+    .filter(([projectTarget]) => !covered.has(projectTarget))
+    .map(([, entry]) => entry);
+
+  return { create, remove, unchanged: covered.size, unmanaged };
+}
+
+// Apply a plan. Replaced webhooks are deleted before their replacement is
+// created (same project and URL); other stale webhooks only once the new ones
+// exist, so no events are missed in between. Returns the counts and the
+// webhooks created: { created, deleted, failed, createdWebhooks }.
+async function applyWebhookSync({ create, remove }, { dryRun = false } = {}) {
+  const prefix = dryRun ? "[dry run] " : "";
+  const counts = { created: 0, deleted: 0, failed: 0, createdWebhooks: [] };
+
+  async function deleteStale({ webhook, reason }) {
+    console.log(`${prefix}Delete ${describeWebhook(webhook)} (${reason})`);
+    if (dryRun) return;
+    try {
+      await deleteWebhook(webhook.gid);
+      counts.deleted++;
+    } catch (error) {
+      counts.failed++;
+      console.error(
+        `Error deleting webhook ${webhook.gid}:`,
+        describeAsanaError(error)
+      );
+    }
+  }
+
+  for (const entry of remove.filter(({ replaced }) => replaced)) {
+    await deleteStale(entry);
+  }
+
+  for (const { project, targetUrl } of create) {
+    console.log(
+      `${prefix}Create webhook for project "${project.name}" (${project.gid}) on ${targetUrl}`
+    );
+    if (dryRun) continue;
+    try {
+      const webhook = await createProjectWebhook(project.gid, targetUrl);
+      counts.created++;
+      counts.createdWebhooks.push({ project, targetUrl, webhook });
+      console.log(`Created webhook ${webhook.gid}`);
+    } catch (error) {
+      counts.failed++;
+      console.error(
+        `Error creating webhook for project ${project.gid}:`,
+        describeAsanaError(error)
+      );
+    }
+    await delay(CREATE_DELAY_MS);
+  }
+
+  for (const entry of remove.filter(({ replaced }) => !replaced)) {
+    await deleteStale(entry);
+  }
+
+  return counts;
+}
+
+module.exports = {
+  getWebhookTargets,
+  loadWebhookState,
+  planWebhookSync,
+  applyWebhookSync,
+};
@@ -0,0 +1,81 @@
+const { getSettingsSection } = require("./syncSettings");
+const { withExtraColumns } = require("./columnMapping");
+
+// Workspace profiles describe the custom-field quirks of a workspace. They are
+// read from the "workspaceProfiles" section of the sync settings file:
+//
+//   "workspaceProfiles": {
+//     "<profile name>": {
+//       "workspaces": ["<workspace gid>", ...],
+//       "extraFields": ["balance", { "field": "Notes", "header": "Task notes" }],
+//       "aliases": { "<Asana field name>": "<field name used by the mapping>" },
+//       "columnOverrides": { "<column header>": "<new source>" | null }
+//     }
+//   }
+//
+// extraFields add columns at the end of the mapping, aliases let a differently
+// named custom field fill a mapped column, and columnOverrides change the source
+// of a mapped column (null removes the column).
+
+const DEFAULT_PROFILE = { name: "default", aliases: {} };
+
+// Find the profile that lists the given workspace
+function getProfileForWorkspace(workspaceId) {
+  const profiles = getSettingsSection("workspaceProfiles", {});
+
+  const entry = Object.entries(profiles).find(
+    ([, profile]) =>
+      workspaceId && (profile.workspaces || []).includes(String(workspaceId))
+  );
+
+  if (!entry) {
+    return DEFAULT_PROFILE;
+  }
+
+  const [name, profile] = entry;
+  return { ...profile, name, aliases: profile.aliases || {} };
+}
+
+// Apply a profile's column overrides and extra fields to a column mapping
+function applyProfile(mapping, profile) {
+  const overrides = profile.columnOverrides || {};
+
+  const columns = mapping.columns
+    .filter((column) => overrides[column.header] !== null)
+    .map((column) =>
+      overrides[column.header]
+        ? { ...column, source: overrides[column.header] }
+        : column
+    );
+
+  if (!columns.some((column) => column.source === "task.gid")) {
+    throw new Error(
+      `Workspace profile "${profile.name}" removes the "task.gid" column`
+    );
+  }
+
+  const extraColumns = (profile.extraFields || []).map((extra) =>
+    typeof extra === "string"
+      ? { header: extra, source: `custom:${extra}` }
+      : { header: extra.header || extra.field, source: `custom:${extra.field}` }
+  );
+
+  return withExtraColumns({ ...mapping, columns }, extraColumns);
+}
+
+// Resolve the profile for a workspace and the mapping it produces
+function getWorkspaceMapping(mapping, workspaceId) {
+  const profile = getProfileForWorkspace(workspaceId);
+  if (profile !== DEFAULT_PROFILE) {
+    console.log(
+      `Using workspace profile "${profile.name}" for workspace ${workspaceId}`
+    );
+  }
+  return { profile, mapping: applyProfile(mapping, profile) };
+}
+
+module.exports = {
+  getProfileForWorkspace,
+  applyProfile,
+  getWorkspaceMapping,
+};
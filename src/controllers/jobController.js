@@ -0,0 +1,61 @@
+const { getJob, listJobs, cancelJob } = require("../config/jobManager");
+
+const getJobs = async (req, res) => {
+  try {
+    const jobs = listJobs({
+      type: req.query.type,
+      ...(req.query.limit ? { limit: parseInt(req.query.limit, 10) } : {}),
+    });
+    res.json({ total: jobs.length, jobs });
+  } catch (error) {
+    console.error("Error listing jobs:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const getJobById = async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `No job with ID ${req.params.id}`,
+      });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error("Error reading job:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Ask a running job to stop. It stops at its next checkpoint, so poll the job
+// until its status is "cancelled".
+const cancelJobById = async (req, res) => {
+  try {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `No job with ID ${req.params.id}`,
+      });
+    }
+    if (job.status !== "running") {
+      return res.status(409).json({
+        error: "Conflict",
+        message: `Job ${job.id} is already ${job.status}`,
+        job,
+      });
+    }
+    res.status(202).json({ message: "Cancellation requested", job });
+  } catch (error) {
+    console.error("Error cancelling job:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobById,
+  cancelJobById,
+};
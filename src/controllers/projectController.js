@@ -1,7 +1,42 @@
+const crypto = require("node:crypto");
 const Asana = require("asana");
 const { getGoogleSheetsClient } = require("../config/googleSheets");
 const { google } = require("googleapis");
-const { ensureWebhookSecretsSheet } = require("../config/webhookHandler");
+const {
+  TASK_OPT_FIELDS,
+  syncTaskToSheet,
+  ensureSummaries,
+} = require("../config/webhookHandler");
+const { setProjectArchived, deleteRows } = require("../config/projectRows");
+const { qualifiesForSheet } = require("../config/rowRules");
+const {
+  getColumnMapping,
+  getConfiguredMapping,
+  getHeaders,
+  getCustomFieldNames,
+  processTaskData,
+  getColumnIndex,
+  getSheetRange,
+  buildRow,
+} = require("../config/columnMapping");
+const { getWorkspaceMapping } = require("../config/workspaceProfiles");
+const { setIndexFromRows } = require("../config/taskRowIndex");
+const { getLastSync, recordSync } = require("../config/syncState");
+const sheetsRateLimiter = require("../config/sheetsRateLimiter");
+const { startJob, untrackedJob } = require("../config/jobManager");
+const {
+  acquireSheetLock,
+  releaseSheetLock,
+  getSheetLock,
+} = require("../config/sheetLocks");
+const { writeViaStagingTab } = require("../config/stagingTab");
+const { writeRows } = require("../config/chunkedWriter");
+const { rebuildSummary } = require("../config/summaryTab");
+const {
+  readManualColumns,
+  alignManualColumns,
+  saveOrphans,
+} = require("../config/manualColumns");
 
 const client = Asana.ApiClient.instance;
 // Disable auto-pagination to work with raw responses
@@ -123,59 +158,6 @@ async function getAllPages(fetchFunction) {
   return results;
 }
 
-// Helper function to process task data
-function processTaskData(task, workspaceId) {
-  const customFieldValues = {};
-
-  if (task.custom_fields) {
-    task.custom_fields.forEach((field) => {
-      const fieldNames = [
-        "Worker",
-        "Status",
-        "Paid with...",
-        "Deposit",
-        "Bonus",
-        "Max bet",
-        "WG",
-        "Max win",
-        "Balance",
-        "Groups",
-        "Received",
-        "RM/BM",
-      ];
-
-      // Add lowercase balance for specific workspace
-      if (workspaceId === "1205846480740952") {
-        fieldNames.push("balance");
-      }
-
-      if (fieldNames.includes(field.name)) {
-        if (field.enum_value) {
-          customFieldValues[field.name] = field.enum_value.name;
-        } else if (
-          field.number_value !== null &&
-          field.number_value !== undefined
-        ) {
-          customFieldValues[field.name] = field.number_value;
-        } else if (field.text_value) {
-          customFieldValues[field.name] = field.text_value;
-        } else {
-          customFieldValues[field.name] = field.display_value;
-        }
-      }
-    });
-  }
-
-  return {
-    task_name: task.name,
-    task_id: task.gid,
-    assignee: task.assignee ? task.assignee.name : null,
-    completed_at: task.completed_at,
-    completed: task.completed,
-    ...customFieldValues,
-  };
-}
-
 const getWorkspaceProjects = async (req, res) => {
   try {
     // Use provided workspace ID or default from environment
@@ -231,6 +213,11 @@ const getWorkspaceProjectById = async (req, res) => {
 const getAllProjectsWithTasks = async (req, res) => {
   try {
     const workspaceId = req.query.workspaceId || process.env.ASANA_WORKSPACE_ID;
+    const { profile, mapping } = getWorkspaceMapping(
+      getConfiguredMapping(),
+      workspaceId
+    );
+    const fieldNames = getCustomFieldNames(mapping);
 
     console.log("\nFetching projects...");
     const projects = await getAllPages(async (offset) => {
@@ -279,7 +266,7 @@ const getAllProjectsWithTasks = async (req, res) => {
 
           const processedTasks = tasks
             .filter((task) => task.completed)
-            .map(processTaskData);
+            .map((task) => processTaskData(task, fieldNames, profile.aliases));
 
           if (isKarlProject) {
             console.log(`\nProcessed tasks count: ${processedTasks.length}`);
@@ -336,204 +323,441 @@ const getAllProjectsWithTasks = async (req, res) => {
   }
 };
 
-const exportProjectsToSheet = async (req, res) => {
-  try {
-    const workspaceId = req.query.workspaceId || process.env.ASANA_WORKSPACE_ID;
+// Export the workspace's tasks to a new spreadsheet, reporting progress to job
+async function runProjectsExport({ workspaceId, job = untrackedJob() }) {
+  const errors = [];
+  const { profile, mapping } = getWorkspaceMapping(
+    getConfiguredMapping(),
+    workspaceId
+  );
+  const fieldNames = getCustomFieldNames(mapping);
+
+  // First, get all projects with tasks using existing function logic
+  job.setPhase("fetching projects");
+  const projects = await getAllPages(async (offset) => {
+    const opts = {
+      opt_fields: "name,archived",
+      limit: 100,
+      offset: offset,
+    };
+    return await projectsApi.getProjectsForWorkspace(workspaceId, opts);
+  });
+
+  const activeProjects = projects.filter((project) => !project.archived);
+  job.setProgress({
+    projectsTotal: activeProjects.length,
+    projectsProcessed: 0,
+    tasksFetched: 0,
+    rowsWritten: 0,
+  });
+  job.setPhase("fetching tasks");
+
+  // Fetch the projects' tasks one project at a time, so the job can be
+  // cancelled between projects and reports its progress as it goes
+  const projectsWithTasks = [];
+  for (const project of activeProjects) {
+    job.throwIfCancelled();
+    try {
+      const tasks = await getAllPages(async (offset) => {
+        const opts = {
+          opt_fields: TASK_OPT_FIELDS,
+          limit: 100,
+          offset: offset,
+          completed_since: "2000-01-01T00:00:00.000Z",
+        };
+        return await tasksApi.getTasksForProject(project.gid, opts);
+      });
+      job.increment("tasksFetched", tasks.length);
+
+      // Process tasks that match the row rules (of the default sheet
+      // settings, as the spreadsheet is new)
+      const processedTasks = tasks
+        .filter((task) =>
+          qualifiesForSheet(null, task, { projectName: project.name })
+        )
+        .map((task) => processTaskData(task, fieldNames, profile.aliases));
+
+      projectsWithTasks.push({
+        project_name: project.name,
+        project_id: project.gid,
+        tasks: processedTasks,
+      });
+    } catch (error) {
+      console.error(`Error fetching tasks for project ${project.name}:`, error);
+      const entry = { project: project.gid, error: error.message };
+      errors.push(entry);
+      job.addError(entry);
+    }
+    job.increment("projectsProcessed");
+  }
 
-    // First, get all projects with tasks using existing function logic
-    const projects = await getAllPages(async (offset) => {
-      const opts = {
-        opt_fields: "name,archived",
-        limit: 100,
-        offset: offset,
-      };
-      return await projectsApi.getProjectsForWorkspace(workspaceId, opts);
+  // Filter projects with tasks and sort by project name
+  const sortedProjects = projectsWithTasks
+    .filter((project) => project.tasks.length > 0)
+    .sort((a, b) => a.project_name.localeCompare(b.project_name));
+
+  // Prepare headers for the spreadsheet
+  const headers = getHeaders(mapping);
+
+  // Prepare rows for the spreadsheet
+  const rows = [];
+  rows.push(headers);
+
+  sortedProjects.forEach((project) => {
+    project.tasks.forEach((task) => {
+      rows.push(
+        buildRow(mapping, {
+          ...task,
+          project_name: project.project_name,
+          project_id: project.project_id,
+        })
+      );
+    });
+  });
+
+  // Last chance to stop before the spreadsheet is created
+  job.throwIfCancelled();
+  job.setPhase("writing sheet");
+
+  // Get Google Sheets client
+  const sheets = await getGoogleSheetsClient();
+
+  // Create a new spreadsheet
+  const spreadsheet = await sheets.spreadsheets.create({
+    resource: {
+      properties: {
+        title: `Asana Projects Export ${
+          new Date().toISOString().split("T")[0]
+        }`,
+      },
+      sheets: [{ properties: { title: mapping.sheetName } }],
+    },
+  });
+
+  const spreadsheetId = spreadsheet.data.spreadsheetId;
+  const dataSheetId = spreadsheet.data.sheets[0].properties.sheetId;
+
+  // Move the file to the specified folder using Drive API
+  if (GOOGLE_DRIVE_FOLDER_ID) {
+    const auth = new google.auth.GoogleAuth({
+      credentials: JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS),
+      scopes: ["https://www.googleapis.com/auth/drive.file"],
     });
 
-    const activeProjects = projects.filter((project) => !project.archived);
+    const drive = google.drive({ version: "v3", auth });
 
-    const projectsWithTasks = await Promise.all(
-      activeProjects.map(async (project) => {
-        try {
-          const tasks = await getAllPages(async (offset) => {
-            const opts = {
-              opt_fields:
-                "gid,name,assignee.name,completed,completed_at,custom_fields,memberships",
-              limit: 100,
-              offset: offset,
-              completed_since: "2000-01-01T00:00:00.000Z",
-            };
-            return await tasksApi.getTasksForProject(project.gid, opts);
-          });
+    // First get the file's current parents
+    const file = await drive.files.get({
+      fileId: spreadsheetId,
+      fields: "parents",
+    });
 
-          // Process tasks that are either completed OR assigned to Manager
-          const processedTasks = tasks
-            .filter(
-              (task) =>
-                task.completed ||
-                (task.assignee && task.assignee.name === "Manager")
-            )
-            .map(processTaskData);
+    // Move the file to the new folder
+    await drive.files.update({
+      fileId: spreadsheetId,
+      addParents: GOOGLE_DRIVE_FOLDER_ID,
+      removeParents: file.data.parents.join(","),
+      fields: "id, parents",
+    });
+  }
 
-          return {
-            project_name: project.name,
-            project_id: project.gid,
-            tasks: processedTasks,
-          };
-        } catch (error) {
-          console.error(
-            `Error fetching tasks for project ${project.name}:`,
-            error
-          );
-          return {
-            project_name: project.name,
-            project_id: project.gid,
-            tasks: [],
-          };
-        }
-      })
+  // Update the values, in chunks for large workspaces
+  await writeRows(sheets, spreadsheetId, {
+    sheetName: mapping.sheetName,
+    sheetId: dataSheetId,
+    rows,
+  });
+
+  job.setProgress({ rowsWritten: rows.length - 1 });
+
+  // Auto-resize columns
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: [
+        {
+          autoResizeDimensions: {
+            dimensions: {
+              sheetId: dataSheetId,
+              dimension: "COLUMNS",
+              startIndex: 0,
+              endIndex: headers.length,
+            },
+          },
+        },
+      ],
+    },
+  });
+
+  // Add the Summary tab's pivot tables
+  try {
+    await rebuildSummary(sheets, spreadsheetId, mapping, dataSheetId);
+  } catch (error) {
+    console.error("Error building the summary tab:", error);
+    const entry = { error: `Summary tab not built: ${error.message}` };
+    errors.push(entry);
+    job.addError(entry);
+  }
+
+  return {
+    spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}`,
+    spreadsheetId,
+    projectsChecked: activeProjects.length,
+    rowsWritten: rows.length - 1,
+    errors,
+  };
+}
+
+const exportProjectsToSheet = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspaceId || process.env.ASANA_WORKSPACE_ID;
+
+    // Exports take minutes, so they run as a job the caller polls
+    const job = startJob("projects-export", { workspaceId }, (handle) =>
+      runProjectsExport({ workspaceId, job: handle })
     );
 
-    // Filter projects with tasks and sort by project name
-    const sortedProjects = projectsWithTasks
-      .filter((project) => project.tasks.length > 0)
-      .sort((a, b) => a.project_name.localeCompare(b.project_name));
-
-    // Prepare headers for the spreadsheet
-    const headers = [
-      "Project Name",
-      "Task Name",
-      "Assignee",
-      "Completed At",
-      "Worker",
-      "Status",
-      "Paid with...",
-      "Deposit",
-      "Bonus",
-      "Max bet",
-      "WG",
-      "Max win",
-      "Balance",
-      "Groups",
-      "Received",
-      "RM/BM",
-      "Project ID",
-      "Task ID",
-      "Completed",
-    ];
-
-    // Prepare rows for the spreadsheet
-    const rows = [];
-    rows.push(headers);
-
-    sortedProjects.forEach((project) => {
-      project.tasks.forEach((task) => {
-        rows.push([
-          project.project_name,
-          task.task_name,
-          task.assignee || "",
-          task.completed_at || "",
-          task["Worker"] || "",
-          task["Status"] || "",
-          task["Paid with..."] || "",
-          task["Deposit"] || "",
-          task["Bonus"] || "",
-          task["Max bet"] || "",
-          task["WG"] || "",
-          task["Max win"] || "",
-          task["Balance"] || "",
-          task["Groups"] || "",
-          task["Received"] || "",
-          task["RM/BM"] || "",
-          project.project_id || "",
-          task.task_id || "",
-          task.completed ? "Yes" : "No",
-        ]);
-      });
+    res.status(202).json({
+      message: "Export started",
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+    });
+  } catch (error) {
+    console.error("Error exporting to Google Sheets:", error);
+    res.status(500).json({
+      error: "Failed to export to Google Sheets",
+      details: error.message,
     });
+  }
+};
 
-    // Get Google Sheets client
-    const sheets = await getGoogleSheetsClient();
+// Rewrite the sheet with every task of the workspace that gets a row.
+// Progress is reported to job, and a cancelled job stops before the next
+// project or before the sheet is cleared, leaving the sheet as it was.
+async function runWorkspaceExport({
+  workspaceId,
+  spreadsheetId,
+  job = untrackedJob(),
+}) {
+  const exportStartedAt = new Date().toISOString();
+  const summary = {
+    projectsChecked: 0,
+    rowsWritten: 0,
+    backupTab: null,
+    orphanedRows: 0,
+    errors: [],
+  };
 
-    // Create a new spreadsheet
-    const spreadsheet = await sheets.spreadsheets.create({
-      resource: {
-        properties: {
-          title: `Asana Projects Export ${
-            new Date().toISOString().split("T")[0]
-          }`,
-        },
-      },
-    });
+  console.log(`\nExporting workspace ${workspaceId} to sheet ${spreadsheetId}`);
 
-    const spreadsheetId = spreadsheet.data.spreadsheetId;
+  // Get Google Sheets client
+  const sheets = await getGoogleSheetsClient();
 
-    // Move the file to the specified folder using Drive API
-    if (GOOGLE_DRIVE_FOLDER_ID) {
-      const auth = new google.auth.GoogleAuth({
-        credentials: JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS),
-        scopes: ["https://www.googleapis.com/auth/drive.file"],
-      });
+  // Pick the workspace profile (extra fields, aliases, column overrides)
+  const { profile, mapping } = getWorkspaceMapping(
+    await getColumnMapping(sheets, spreadsheetId),
+    workspaceId
+  );
+  const fieldNames = getCustomFieldNames(mapping);
 
-      const drive = google.drive({ version: "v3", auth });
+  // Get all projects in the workspace
+  console.log("\nFetching projects...");
+  job.setPhase("fetching projects");
+  const projects = await getAllPages(async (offset) => {
+    const opts = {
+      opt_fields: "name,archived",
+      limit: 100,
+      ...(offset ? { offset } : {}),
+    };
+    return await projectsApi.getProjectsForWorkspace(workspaceId, opts);
+  });
+
+  // Filter out archived projects
+  const activeProjects = projects.filter((project) => !project.archived);
+  console.log(`Found ${activeProjects.length} active projects`);
+  summary.projectsChecked = activeProjects.length;
+  job.setProgress({
+    projectsTotal: activeProjects.length,
+    projectsProcessed: 0,
+    tasksFetched: 0,
+    rowsWritten: 0,
+  });
+  job.setPhase("fetching tasks");
+
+  // Prepare to store all tasks
+  const allProjectTasks = [];
+
+  // Process projects in batches to avoid rate limits
+  const BATCH_SIZE = 5;
+  for (let i = 0; i < activeProjects.length; i += BATCH_SIZE) {
+    const projectBatch = activeProjects.slice(i, i + BATCH_SIZE);
+    console.log(
+      `\nProcessing projects ${i + 1} to ${i + projectBatch.length} of ${
+        activeProjects.length
+      }`
+    );
 
-      // First get the file's current parents
-      const file = await drive.files.get({
-        fileId: spreadsheetId,
-        fields: "parents",
-      });
+    // Process each project in the batch with a delay between projects
+    for (const project of projectBatch) {
+      job.throwIfCancelled();
+      try {
+        console.log(
+          `\nFetching tasks for project: ${project.name} (${project.gid})`
+        );
 
-      // Move the file to the new folder
-      await drive.files.update({
-        fileId: spreadsheetId,
-        addParents: GOOGLE_DRIVE_FOLDER_ID,
-        removeParents: file.data.parents.join(","),
-        fields: "id, parents",
-      });
+        const tasks = await getAllPages(async (offset) => {
+          const opts = {
+            opt_fields: TASK_OPT_FIELDS,
+            limit: 100,
+            completed_since: "2000-01-01",
+            ...(offset ? { offset } : {}),
+          };
+          return await tasksApi.getTasksForProject(project.gid, opts);
+        });
+        job.increment("tasksFetched", tasks.length);
+
+        // Filter tasks by the sheet's row rules and process them
+        const relevantTasks = tasks.filter((task) =>
+          qualifiesForSheet(spreadsheetId, task, {
+            projectName: project.name,
+          })
+        );
+
+        if (relevantTasks.length > 0) {
+          console.log(
+            `Found ${relevantTasks.length} relevant tasks in project ${project.name}`
+          );
+          allProjectTasks.push({
+            project_name: project.name,
+            project_id: project.gid,
+            tasks: relevantTasks.map((task) =>
+              processTaskData(task, fieldNames, profile.aliases)
+            ),
+          });
+        }
+
+        // Add a delay between projects to avoid rate limits
+        await delay(1000);
+      } catch (error) {
+        console.error(`Error processing project ${project.name}:`, error);
+        const entry = { project: project.gid, error: error.message };
+        summary.errors.push(entry);
+        job.addError(entry);
+        // Continue with next project even if one fails
+      }
+      job.increment("projectsProcessed");
     }
 
-    // Update the values
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: "Sheet1!A1",
-      valueInputOption: "RAW",
-      resource: {
-        values: rows,
-      },
-    });
+    // Add a longer delay between batches
+    if (i + BATCH_SIZE < activeProjects.length) {
+      console.log("\nWaiting between project batches to avoid rate limits...");
+      await delay(5000);
+    }
+  }
 
-    // Auto-resize columns
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId,
-      resource: {
-        requests: [
-          {
-            autoResizeDimensions: {
-              dimensions: {
-                sheetId: 0,
-                dimension: "COLUMNS",
-                startIndex: 0,
-                endIndex: headers.length,
-              },
-            },
-          },
-        ],
-      },
+  // Sort projects by name
+  const sortedProjects = allProjectTasks.sort((a, b) =>
+    a.project_name.localeCompare(b.project_name)
+  );
+
+  // Prepare headers for the spreadsheet
+  const headers = getHeaders(mapping);
+
+  // Prepare rows for the spreadsheet
+  const rows = [];
+  rows.push(headers);
+
+  sortedProjects.forEach((project) => {
+    project.tasks.forEach((task) => {
+      rows.push(
+        buildRow(mapping, {
+          ...task,
+          project_name: project.project_name,
+          project_id: project.project_id,
+        })
+      );
     });
-
-    res.json({
-      message: "Export completed successfully",
-      spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}`,
+  });
+
+  // Last chance to stop before the sheet changes
+  job.throwIfCancelled();
+  job.setPhase("writing sheet");
+
+  // Carry the columns people added after the mapped ones over to each task's
+  // new row
+  const manual = await readManualColumns(sheets, spreadsheetId, mapping);
+  const { manualRows, orphans } = alignManualColumns(manual, rows, mapping);
+
+  // Write to a staging tab and copy it over the main tab, so a failed write
+  // leaves the sheet as it was
+  const { sheetId: dataSheetId, backupTitle } = await writeViaStagingTab(
+    sheets,
+    spreadsheetId,
+    mapping,
+    rows,
+    manualRows
+  );
+
+  summary.rowsWritten = rows.length - 1;
+  summary.backupTab = backupTitle;
+
+  // The export is in place; cells of tasks without a row go to the orphan
+  // tab (and are in the backup tab if this fails)
+  try {
+    summary.orphanedRows = await saveOrphans(
+      sheets,
       spreadsheetId,
-    });
+      mapping,
+      manual,
+      orphans
+    );
   } catch (error) {
-    console.error("Error exporting to Google Sheets:", error);
-    res.status(500).json({
-      error: "Failed to export to Google Sheets",
-      details: error.message,
-    });
+    console.error("Error saving orphaned manual cells:", error);
+    const entry = {
+      error: `Manual cells of ${orphans.length} rows not saved: ${error.message}`,
+    };
+    summary.errors.push(entry);
+    job.addError(entry);
   }
-};
+
+  // Rebuild the Summary tab, so changes to its settings take effect
+  try {
+    await rebuildSummary(sheets, spreadsheetId, mapping, dataSheetId);
+  } catch (error) {
+    console.error("Error rebuilding the summary tab:", error);
+    const entry = { error: `Summary tab not rebuilt: ${error.message}` };
+    summary.errors.push(entry);
+    job.addError(entry);
+  }
+  job.setProgress({ rowsWritten: summary.rowsWritten });
+
+  // The rows just written are the new task row index
+  setIndexFromRows(spreadsheetId, mapping, rows);
+
+  // Auto-resize columns
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: [
+        {
+          autoResizeDimensions: {
+            dimensions: {
+              sheetId: dataSheetId,
+              dimension: "COLUMNS",
+              startIndex: 0,
+              endIndex: headers.length,
+            },
+          },
+        },
+      ],
+    },
+  });
+
+  // Incremental syncs pick up changes made after this export started
+  recordSync(spreadsheetId, workspaceId, exportStartedAt, "export");
+
+  return summary;
+}
 
 const exportWorkspaceToSheet = async (req, res) => {
   try {
@@ -547,222 +771,271 @@ const exportWorkspaceToSheet = async (req, res) => {
       });
     }
 
-    console.log(
-      `\nExporting workspace ${workspaceId} to sheet ${targetSheetId}`
+    // Exports take minutes, so they run as a job the caller polls
+    const job = startJob(
+      "workspace-export",
+      { workspaceId, spreadsheetId: targetSheetId },
+      (handle) =>
+        runWorkspaceExport({
+          workspaceId,
+          spreadsheetId: targetSheetId,
+          job: handle,
+        }),
+      { lockSheetId: targetSheetId }
     );
 
-    // Get all projects in the workspace
-    console.log("\nFetching projects...");
-    const projects = await getAllPages(async (offset) => {
+    res.status(202).json({
+      message: "Export started",
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${targetSheetId}`,
+      spreadsheetId: targetSheetId,
+      workspaceId: workspaceId,
+    });
+  } catch (error) {
+    if (error.code === "SHEET_LOCKED") {
+      return res.status(409).json({
+        error: "Conflict",
+        message: error.message,
+      });
+    }
+    console.error("Error exporting to Google Sheets:", error);
+    res.status(500).json({
+      error: "Failed to export to Google Sheets",
+      details: error.message,
+    });
+  }
+};
+
+// Delete the rows of tasks that no longer exist: rows of the given (active)
+// projects whose task isn't in any of them any more. modified_since never
+// returns deleted tasks, so this lists the projects' task IDs. Rows of other
+// projects (e.g. archived ones) are left alone. Returns the number of rows
+// deleted.
+async function removeDeletedTaskRows(sheets, spreadsheetId, projects) {
+  const existingTaskIds = new Set();
+  for (const project of projects) {
+    const tasks = await getAllPages(async (offset) => {
       const opts = {
-        opt_fields: "name,archived",
+        opt_fields: "gid",
         limit: 100,
+        completed_since: "2000-01-01T00:00:00.000Z",
         ...(offset ? { offset } : {}),
       };
-      return await projectsApi.getProjectsForWorkspace(workspaceId, opts);
+      return await tasksApi.getTasksForProject(project.gid, opts);
     });
+    tasks.forEach((task) => existingTaskIds.add(task.gid));
+  }
+  const projectIds = new Set(projects.map((project) => project.gid));
+
+  return await sheetsRateLimiter.enqueue(async () => {
+    const mapping = await getColumnMapping(sheets, spreadsheetId);
+    const taskIdColumnIndex = getColumnIndex(mapping, "task.gid");
+    const projectIdColumnIndex = getColumnIndex(mapping, "project.gid");
+    if (projectIdColumnIndex === -1) {
+      console.log("No Project ID column - not looking for deleted tasks");
+      return 0;
+    }
 
-    // Filter out archived projects
-    const activeProjects = projects.filter((project) => !project.archived);
-    console.log(`Found ${activeProjects.length} active projects`);
-
-    // Prepare to store all tasks
-    const allProjectTasks = [];
-
-    // Process projects in batches to avoid rate limits
-    const BATCH_SIZE = 5;
-    for (let i = 0; i < activeProjects.length; i += BATCH_SIZE) {
-      const projectBatch = activeProjects.slice(i, i + BATCH_SIZE);
-      console.log(
-        `\nProcessing projects ${i + 1} to ${i + projectBatch.length} of ${
-          activeProjects.length
-        }`
-      );
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: getSheetRange(mapping),
+    });
+    const rows = response.data.values || [];
+    const rowIndexes = [];
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i] || [];
+      const taskId = row[taskIdColumnIndex];
+      if (
+        taskId &&
+        !existingTaskIds.has(taskId) &&
+        projectIds.has(row[projectIdColumnIndex])
+      ) {
+        rowIndexes.push(i + 1);
+      }
+    }
 
-      // Process each project in the batch with a delay between projects
-      for (const project of projectBatch) {
-        try {
-          console.log(
-            `\nFetching tasks for project: ${project.name} (${project.gid})`
-          );
+    const deleted = await deleteRows(
+      sheets,
+      spreadsheetId,
+      mapping,
+      rowIndexes
+    );
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} rows of tasks deleted in Asana`);
+    }
+    return deleted;
+  });
+}
 
-          const tasks = await getAllPages(async (offset) => {
-            const opts = {
-              opt_fields:
-                "name,assignee.name,completed,completed_at,custom_fields,memberships",
-              limit: 100,
-              completed_since: "2000-01-01",
-              ...(offset ? { offset } : {}),
-            };
-            return await tasksApi.getTasksForProject(project.gid, opts);
-          });
+// Apply the tasks modified since the last sync to the sheet, row by row,
+// using the same row logic as the webhook handler, then delete the rows of
+// deleted tasks. The caller holds the sheet's lock, so webhook events wait.
+async function runWorkspaceSync({ workspaceId, spreadsheetId, since }) {
+  const syncStartedAt = new Date().toISOString();
+  const summary = {
+    since,
+    projectsChecked: 0,
+    tasksFetched: 0,
+    updated: 0,
+    added: 0,
+    skipped: 0,
+    removed: 0,
+    deleted: 0,
+    archived: 0,
+    errors: [],
+  };
 
-          // Filter and process tasks
-          const relevantTasks = tasks.filter(
-            (task) =>
-              task.completed ||
-              (task.assignee &&
-                (task.assignee.name === "Manager" ||
-                  task.assignee.name === "Withdrawals" ||
-                  task.assignee.name === "Withdraws"))
-          );
+  console.log(
+    `\nSyncing workspace ${workspaceId} to sheet ${spreadsheetId} (changes since ${since})`
+  );
+  const sheets = await getGoogleSheetsClient();
 
-          if (relevantTasks.length > 0) {
-            console.log(
-              `Found ${relevantTasks.length} relevant tasks in project ${project.name}`
-            );
-            allProjectTasks.push({
-              project_name: project.name,
-              project_id: project.gid,
-              tasks: relevantTasks.map((task) => ({
-                task_name: task.name,
-                task_id: task.gid,
-                assignee: task.assignee?.name || "",
-                completed_at: task.completed_at || "",
-                completed: task.completed,
-                ...processTaskData(task, workspaceId),
-              })),
-            });
-          }
+  const projects = await getAllPages(async (offset) => {
+    const opts = {
+      opt_fields: "name,archived,modified_at",
+      limit: 100,
+      ...(offset ? { offset } : {}),
+    };
+    return await projectsApi.getProjectsForWorkspace(workspaceId, opts);
+  });
+
+  // Projects archived since the last sync get the sheet's archive treatment
+  // (see projectRows.js), as they drop out of a full export
+  const newlyArchived = projects.filter(
+    (project) =>
+      project.archived && new Date(project.modified_at) >= new Date(since)
+  );
+  for (const project of newlyArchived) {
+    try {
+      summary.archived += await sheetsRateLimiter.enqueue(() =>
+        setProjectArchived(sheets, spreadsheetId, project.gid, true)
+      );
+    } catch (error) {
+      console.error(`Error removing rows of project ${project.name}:`, error);
+      summary.errors.push({ project: project.gid, error: error.message });
+    }
+  }
 
-          // Add a delay between projects to avoid rate limits
-          await delay(1000);
-        } catch (error) {
-          console.error(`Error processing project ${project.name}:`, error);
-          // Continue with next project even if one fails
-        }
-      }
+  const activeProjects = projects.filter((project) => !project.archived);
+  const seenTaskIds = new Set();
 
-      // Add a longer delay between batches
-      if (i + BATCH_SIZE < activeProjects.length) {
-        console.log(
-          "\nWaiting between project batches to avoid rate limits..."
+  for (const project of activeProjects) {
+    try {
+      const tasks = await getAllPages(async (offset) => {
+        const opts = {
+          opt_fields: TASK_OPT_FIELDS,
+          limit: 100,
+          modified_since: since,
+          ...(offset ? { offset } : {}),
+        };
+        return await tasksApi.getTasksForProject(project.gid, opts);
+      });
+      summary.projectsChecked++;
+
+      for (const task of tasks) {
+        // Tasks in several projects come back once per project
+        if (seenTaskIds.has(task.gid)) continue;
+        seenTaskIds.add(task.gid);
+        summary.tasksFetched++;
+
+        const result = await sheetsRateLimiter.enqueue(() =>
+          syncTaskToSheet(sheets, spreadsheetId, task)
         );
-        await delay(5000);
+        summary[result]++;
       }
+    } catch (error) {
+      console.error(`Error syncing project ${project.name}:`, error);
+      summary.errors.push({ project: project.gid, error: error.message });
     }
+  }
 
-    // Sort projects by name
-    const sortedProjects = allProjectTasks.sort((a, b) =>
-      a.project_name.localeCompare(b.project_name)
-    );
-
-    // Prepare headers for the spreadsheet
-    const headers = [
-      "Project Name",
-      "Task Name",
-      "Assignee",
-      "Completed At",
-      "Worker",
-      "Status",
-      "Paid with...",
-      "Deposit",
-      "Bonus",
-      "Max bet",
-      "WG",
-      "Max win",
-      "Balance",
-      "Groups",
-      "Received",
-      "RM/BM",
-      "Project ID",
-      "Task ID",
-      "Completed",
-    ];
-
-    // Add lowercase balance header for specific workspace
-    if (workspaceId === "1205846480740952") {
-      headers.push("balance");
+  // Only when every project synced, as the tasks of a project that failed
+  // would look deleted
+  if (summary.errors.length === 0) {
+    try {
+      summary.deleted = await removeDeletedTaskRows(
+        sheets,
+        spreadsheetId,
+        activeProjects
+      );
+    } catch (error) {
+      console.error("Error removing rows of deleted tasks:", error);
+      summary.errors.push({
+        error: `Rows of deleted tasks not removed: ${error.message}`,
+      });
     }
+  }
 
-    // Prepare rows for the spreadsheet
-    const rows = [];
-    rows.push(headers);
-
-    sortedProjects.forEach((project) => {
-      project.tasks.forEach((task) => {
-        const row = [
-          project.project_name,
-          task.task_name,
-          task.assignee || "",
-          task.completed_at || "",
-          task["Worker"] || "",
-          task["Status"] || "",
-          task["Paid with..."] || "",
-          task["Deposit"] || "",
-          task["Bonus"] || "",
-          task["Max bet"] || "",
-          task["WG"] || "",
-          task["Max win"] || "",
-          task["Balance"] || "",
-          task["Groups"] || "",
-          task["Received"] || "",
-          task["RM/BM"] || "",
-          project.project_id || "",
-          task.task_id || "",
-          task.completed ? "Yes" : "No",
-        ];
-
-        // Add lowercase balance value for specific workspace
-        if (workspaceId === "1205846480740952") {
-          row.push(task["balance"] || "");
-        }
+  // Outside the rate limiter, now that the rows are written
+  await ensureSummaries();
 
-        rows.push(row);
-      });
-    });
+  // Only move the sync point forward when every project synced
+  if (summary.errors.length === 0) {
+    recordSync(spreadsheetId, workspaceId, syncStartedAt, "incremental");
+  }
 
-    // Get Google Sheets client
-    const sheets = await getGoogleSheetsClient();
+  return summary;
+}
 
-    // Clear existing content
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: targetSheetId,
-      range: "Sheet1!A:S",
-    });
+const syncWorkspaceToSheet = async (req, res) => {
+  try {
+    const workspaceId = req.params.workspaceId;
+    const targetSheetId = req.query.sheetId;
 
-    // Update the values
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: targetSheetId,
-      range: "Sheet1!A1",
-      valueInputOption: "RAW",
-      resource: {
-        values: rows,
-      },
-    });
+    if (!targetSheetId) {
+      return res.status(400).json({
+        error: "Missing required parameter",
+        message: "Please provide a sheetId query parameter",
+      });
+    }
 
-    // Auto-resize columns
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId: targetSheetId,
-      resource: {
-        requests: [
-          {
-            autoResizeDimensions: {
-              dimensions: {
-                sheetId: 0,
-                dimension: "COLUMNS",
-                startIndex: 0,
-                endIndex: headers.length,
-              },
-            },
-          },
-        ],
-      },
-    });
+    const since = req.query.since || getLastSync(targetSheetId)?.lastSyncedAt;
+    if (!since) {
+      return res.status(409).json({
+        error: "No previous sync",
+        message:
+          "Run a full export to this sheet first, or provide a since query parameter",
+      });
+    }
+
+    // Hold the sheet's lock, so the sync doesn't write to a tab an export is
+    // about to overwrite
+    const lockId = crypto.randomUUID();
+    if (!acquireSheetLock(targetSheetId, lockId, `sync ${lockId}`)) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: `Sheet ${targetSheetId} is locked by ${
+          getSheetLock(targetSheetId)?.description || "another run"
+        }`,
+      });
+    }
 
-    // Create webhook_secrets sheet if it doesn't exist
-    await ensureWebhookSecretsSheet(sheets, targetSheetId);
+    let summary;
+    try {
+      summary = await runWorkspaceSync({
+        workspaceId,
+        spreadsheetId: targetSheetId,
+        since,
+      });
+    } finally {
+      releaseSheetLock(targetSheetId, lockId);
+    }
 
     res.json({
-      message: "Export completed successfully",
+      message:
+        summary.errors.length === 0
+          ? "Sync completed successfully"
+          : "Sync completed with errors",
       spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${targetSheetId}`,
       spreadsheetId: targetSheetId,
-      workspaceId: workspaceId,
+      workspaceId,
+      ...summary,
     });
   } catch (error) {
-    console.error("Error exporting to Google Sheets:", error);
+    console.error("Error syncing to Google Sheets:", error);
     res.status(500).json({
-      error: "Failed to export to Google Sheets",
+      error: "Failed to sync to Google Sheets",
       details: error.message,
     });
   }
@@ -773,5 +1046,9 @@ module.exports = {
   getAllProjectsWithTasks,
   exportProjectsToSheet,
   exportWorkspaceToSheet,
+  syncWorkspaceToSheet,
+  runWorkspaceExport,
+  runWorkspaceSync,
   getWorkspaceProjectById,
+  getAllPages,
 };
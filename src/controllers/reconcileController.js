@@ -0,0 +1,329 @@
+const crypto = require("node:crypto");
+const Asana = require("asana");
+const {
+  getGoogleSheetsClient,
+  getSheetTabId,
+} = require("../config/googleSheets");
+const { getAllPages } = require("./projectController");
+const { TASK_OPT_FIELDS } = require("../config/webhookHandler");
+const { qualifiesForSheet } = require("../config/rowRules");
+const {
+  removesNonMatchingRows,
+  copyToRemovedTab,
+  releaseRemovedRows,
+} = require("../config/nonMatchingRows");
+const {
+  getColumnMapping,
+  getCustomFieldNames,
+  processTaskData,
+  buildRow,
+  getSheetRange,
+} = require("../config/columnMapping");
+const { getWorkspaceMapping } = require("../config/workspaceProfiles");
+const { invalidateIndex } = require("../config/taskRowIndex");
+const { getArchiveSettings } = require("../config/projectRows");
+const { compareRows } = require("../config/reconcileRows");
+const sheetsRateLimiter = require("../config/sheetsRateLimiter");
+const {
+  acquireSheetLock,
+  releaseSheetLock,
+  getSheetLock,
+} = require("../config/sheetLocks");
+
+const projectsApi = new Asana.ProjectsApi();
+const tasksApi = new Asana.TasksApi();
+
+// Get the projects to reconcile (one project, or all workspace projects):
+// { projects, archivedProjectIds } with the active projects and the IDs of
+// the archived ones
+async function getProjectsToReconcile(workspaceId, projectId) {
+  let projects;
+  if (projectId) {
+    const result = await projectsApi.getProject(projectId, {
+      opt_fields: "name,archived",
+    });
+    projects = [result.data];
+  } else {
+    projects = await getAllPages(async (offset) => {
+      const opts = {
+        opt_fields: "name,archived",
+        limit: 100,
+        ...(offset ? { offset } : {}),
+      };
+      return await projectsApi.getProjectsForWorkspace(workspaceId, opts);
+    });
+  }
+
+  return {
+    projects: projects.filter((project) => !project.archived),
+    archivedProjectIds: new Set(
+      projects.filter((project) => project.archived).map(({ gid }) => gid)
+    ),
+  };
+}
+
+// Compare the tasks in Asana with the sheet's rows (by Task ID) and report
+// missing, stale, orphaned and duplicate rows. With apply, fix them while
+// holding the sheet's lock: the fixes address rows by the index they had when
+// read, so webhook events (which wait while the sheet is locked) and exports
+// mustn't move rows in between. Throws an error with code "SHEET_LOCKED" if
+// the sheet is busy.
+async function reconcileSheet(options) {
+  if (!options.apply) {
+    return await compareSheet(options);
+  }
+
+  const { spreadsheetId } = options;
+  const lockId = crypto.randomUUID();
+  if (!acquireSheetLock(spreadsheetId, lockId, `reconcile ${lockId}`)) {
+    const error = new Error(
+      `Sheet ${spreadsheetId} is locked by ${
+        getSheetLock(spreadsheetId)?.description || "another run"
+      }`
+    );
+    error.code = "SHEET_LOCKED";
+    throw error;
+  }
+
+  try {
+    return await compareSheet(options);
+  } finally {
+    releaseSheetLock(spreadsheetId, lockId);
+  }
+}
+
+async function compareSheet({ workspaceId, spreadsheetId, projectId, apply }) {
+  console.log(
+    `\nReconciling sheet ${spreadsheetId} with ${
+      projectId ? `project ${projectId}` : `workspace ${workspaceId}`
+    }${apply ? " (applying fixes)" : ""}`
+  );
+
+  const sheets = await getGoogleSheetsClient();
+  const { profile, mapping } = getWorkspaceMapping(
+    await getColumnMapping(sheets, spreadsheetId),
+    workspaceId
+  );
+  const fieldNames = getCustomFieldNames(mapping);
+
+  // Expected rows, keyed by task ID. Rows of tasks that don't match the row
+  // rules are kept (and expected to be up to date) unless the sheet removes
+  // them.
+  const { projects, archivedProjectIds } = await getProjectsToReconcile(
+    workspaceId,
+    projectId
+  );
+  // Unless archived projects' rows are moved to the Archived tab, they stay
+  // in the main tab (flagged or as they were), so they aren't orphaned
+  const keepsArchivedRows = getArchiveSettings(spreadsheetId).mode !== "move";
+  const removeNonMatching = removesNonMatchingRows(spreadsheetId);
+  const allTaskIds = new Set();
+  const expected = new Map();
+  const keptRows = new Map();
+
+  for (const project of projects) {
+    const tasks = await getAllPages(async (offset) => {
+      const opts = {
+        opt_fields: TASK_OPT_FIELDS,
+        limit: 100,
+        completed_since: "2000-01-01T00:00:00.000Z",
+        ...(offset ? { offset } : {}),
+      };
+      return await tasksApi.getTasksForProject(project.gid, opts);
+    });
+
+    tasks.forEach((task) => {
+      if (allTaskIds.has(task.gid)) return;
+      allTaskIds.add(task.gid);
+
+      // Same project as the webhook handler uses: the task's first membership
+      const rowProject = task.memberships?.[0]?.project || project;
+      const qualifies = qualifiesForSheet(spreadsheetId, task, {
+        projectName: rowProject.name,
+      });
+      if (!qualifies && removeNonMatching) return;
+
+      const values = buildRow(mapping, {
+        ...processTaskData(task, fieldNames, profile.aliases),
+        project_name: rowProject.name,
+        project_id: rowProject.gid,
+        excluded: !qualifies,
+      });
+      (qualifies ? expected : keptRows).set(task.gid, values);
+    });
+  }
+
+  // Compare with the current rows. Read through the rate limiter, so a
+  // webhook batch that started before the lock was taken finishes first.
+  const response = await sheetsRateLimiter.enqueue(() =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: getSheetRange(mapping),
+      valueRenderOption: "UNFORMATTED_VALUE",
+    })
+  );
+  const { report, archivedRowsSkipped, expectedRows } = compareRows({
+    mapping,
+    rows: response.data.values || [],
+    expected,
+    keptRows,
+    allTaskIds,
+    projectId,
+    archivedProjectIds,
+    keepsArchivedRows,
+  });
+
+  console.log(
+    `Missing: ${report.missing.length}, stale: ${report.stale.length}, orphaned: ${report.orphaned.length}, duplicates: ${report.duplicates.length}`
+  );
+
+  if (apply) {
+    await applyReconciliation(sheets, spreadsheetId, mapping, report);
+  }
+
+  return {
+    spreadsheetId,
+    workspaceId,
+    projectId: projectId || null,
+    projectsChecked: projects.length,
+    expectedRows,
+    archivedRowsSkipped,
+    applied: Boolean(apply),
+    counts: {
+      missing: report.missing.length,
+      stale: report.stale.length,
+      orphaned: report.orphaned.length,
+      duplicates: report.duplicates.length,
+    },
+    ...report,
+  };
+}
+
+// Fix the differences: rewrite stale rows, delete orphaned and duplicate rows,
+// then append the missing ones
+async function applyReconciliation(sheets, spreadsheetId, mapping, report) {
+  if (report.stale.length > 0) {
+    await sheetsRateLimiter.enqueue(() =>
+      sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: {
+          valueInputOption: "RAW",
+          data: report.stale.map(({ rowIndex, values }) => ({
+            range: getSheetRange(mapping, rowIndex),
+            values: [values],
+          })),
+        },
+      })
+    );
+    console.log(`Rewrote ${report.stale.length} stale rows`);
+  }
+
+  // Keep the first row of each duplicated task; delete from the bottom up
+  const rowsToDelete = [
+    ...report.orphaned.map(({ rowIndex }) => rowIndex),
+    ...report.duplicates.flatMap(({ rowIndexes }) => rowIndexes.slice(1)),
+  ].sort((a, b) => b - a);
+
+  // Rows of tasks that no longer match go to the Removed tab, if the sheet
+  // moves them there
+  await sheetsRateLimiter.enqueue(() =>
+    copyToRemovedTab(
+      sheets,
+      spreadsheetId,
+      mapping,
+      report.orphaned.filter(({ reason }) => reason === "not-included")
+    )
+  );
+
+  if (rowsToDelete.length > 0) {
+    const sheetId = await getSheetTabId(
+      sheets,
+      spreadsheetId,
+      mapping.sheetName
+    );
+    await sheetsRateLimiter.enqueue(() =>
+      sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+          requests: rowsToDelete.map((rowIndex) => ({
+            deleteDimension: {
+              range: {
+                sheetId,
+                dimension: "ROWS",
+                startIndex: rowIndex - 1,
+                endIndex: rowIndex,
+              },
+            },
+          })),
+        },
+      })
+    );
+    console.log(`Deleted ${rowsToDelete.length} orphaned or duplicate rows`);
+  }
+
+  if (report.missing.length > 0) {
+    await sheetsRateLimiter.enqueue(() =>
+      releaseRemovedRows(
+        sheets,
+        spreadsheetId,
+        mapping,
+        report.missing.map(({ taskId }) => taskId)
+      )
+    );
+    await sheetsRateLimiter.enqueue(() =>
+      sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: getSheetRange(mapping),
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        resource: {
+          values: report.missing.map(({ values }) => values),
+        },
+      })
+    );
+    console.log(`Added ${report.missing.length} missing rows`);
+  }
+
+  // Rows moved around; rebuild the task row index on the next lookup
+  invalidateIndex(spreadsheetId);
+}
+
+const reconcileWorkspaceSheet = async (req, res) => {
+  try {
+    const workspaceId = req.params.workspaceId;
+    const targetSheetId = req.query.sheetId;
+
+    if (!targetSheetId) {
+      return res.status(400).json({
+        error: "Missing required parameter",
+        message: "Please provide a sheetId query parameter",
+      });
+    }
+
+    const result = await reconcileSheet({
+      workspaceId,
+      spreadsheetId: targetSheetId,
+      projectId: req.query.projectId,
+      apply: req.query.apply === "true",
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.code === "SHEET_LOCKED") {
+      return res.status(409).json({
+        error: "Conflict",
+        message: error.message,
+      });
+    }
+    console.error("Error reconciling Google Sheet:", error);
+    res.status(500).json({
+      error: "Failed to reconcile Google Sheet",
+      details: error.message,
+    });
+  }
+};
+
+module.exports = {
+  reconcileSheet,
+  reconcileWorkspaceSheet,
+};
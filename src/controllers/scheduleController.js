@@ -0,0 +1,84 @@
+const {
+  startRun,
+  getSchedule,
+  getScheduleStatus,
+  listRuns,
+  getRun,
+} = require("../config/scheduler");
+
+const listSchedules = async (req, res) => {
+  try {
+    const schedules = getScheduleStatus();
+    res.json({ total: schedules.length, schedules });
+  } catch (error) {
+    console.error("Error listing schedules:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const getHistory = async (req, res) => {
+  try {
+    const runs = listRuns({
+      job: req.query.job,
+      ...(req.query.limit ? { limit: parseInt(req.query.limit, 10) } : {}),
+    });
+    res.json({ total: runs.length, runs });
+  } catch (error) {
+    console.error("Error reading job history:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const getHistoryRun = async (req, res) => {
+  try {
+    const run = getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `No run with ID ${req.params.runId}`,
+      });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error("Error reading job run:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Start a job now. The run continues after the response; follow it in the
+// history.
+const runScheduleNow = async (req, res) => {
+  try {
+    const schedule = getSchedule(req.params.name);
+    if (!schedule) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `No schedule named ${req.params.name}`,
+      });
+    }
+
+    const { run, done } = startRun(schedule, "manual");
+    done.catch((error) => {
+      console.error(`Error running job ${schedule.name}:`, error);
+    });
+
+    if (run.status === "skipped") {
+      return res.status(409).json({
+        error: "Conflict",
+        message: run.error,
+        run,
+      });
+    }
+    res.status(202).json({ message: "Run started", run });
+  } catch (error) {
+    console.error("Error starting job:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = {
+  listSchedules,
+  getHistory,
+  getHistoryRun,
+  runScheduleNow,
+};
@@ -0,0 +1,187 @@
+const {
+  getQueueStatus,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter,
+} = require("../config/eventQueue");
+const { getWebhookMetrics } = require("../config/webhookMetrics");
+const {
+  pollProjects,
+  getPollerStatus,
+  listRegistrations,
+} = require("../config/projectPoller");
+const {
+  checkWebhookHealth,
+  repairWebhooks,
+  summarizeHealth,
+} = require("../config/webhookHealth");
+const { describeAsanaError } = require("../config/asanaHttp");
+const { exportEncryptedSecrets } = require("../config/secretStore");
+
+const notFound = (res, id) =>
+  res.status(404).json({
+    error: "Not Found",
+    message: `No dead-lettered event with ID ${id}`,
+  });
+
+const getQueue = async (req, res) => {
+  try {
+    res.json(getQueueStatus());
+  } catch (error) {
+    console.error("Error reading webhook queue:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const getMetrics = async (req, res) => {
+  try {
+    res.json(getWebhookMetrics());
+  } catch (error) {
+    console.error("Error reading webhook metrics:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const getDeadLetters = async (req, res) => {
+  try {
+    const deadLetters = listDeadLetters();
+    res.json({
+      total: deadLetters.length,
+      events: deadLetters.map((entry) => ({
+        id: entry.id,
+        spreadsheetId: entry.spreadsheetId,
+        action: entry.event?.action,
+        resource: entry.event?.resource,
+        attempts: entry.attempts,
+        receivedAt: entry.receivedAt,
+        failedAt: entry.failedAt,
+        lastError: entry.lastError,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing dead-lettered events:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const getDeadLetterById = async (req, res) => {
+  try {
+    const entry = getDeadLetter(req.params.id);
+    if (!entry) return notFound(res, req.params.id);
+    res.json(entry);
+  } catch (error) {
+    console.error("Error reading dead-lettered event:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const replayDeadLetterById = async (req, res) => {
+  try {
+    const entry = replayDeadLetter(req.params.id);
+    if (!entry) return notFound(res, req.params.id);
+    res.json({ message: "Event queued for replay", id: entry.id });
+  } catch (error) {
+    console.error("Error replaying dead-lettered event:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const discardDeadLetterById = async (req, res) => {
+  try {
+    const entry = discardDeadLetter(req.params.id);
+    if (!entry) return notFound(res, req.params.id);
+    res.json({ message: "Event discarded", id: entry.id });
+  } catch (error) {
+    console.error("Error discarding dead-lettered event:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const getRegistrations = async (req, res) => {
+  try {
+    const registrations = listRegistrations();
+    res.json({
+      poller: getPollerStatus(),
+      total: registrations.length,
+      registrations,
+    });
+  } catch (error) {
+    console.error("Error reading webhook registrations:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const pollProjectsNow = async (req, res) => {
+  try {
+    const result = await pollProjects();
+    if (result.skipped) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "A poll for new projects is already running",
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error polling for new projects:", describeAsanaError(error));
+    res.status(500).json({
+      error: "Internal server error",
+      message: describeAsanaError(error),
+    });
+  }
+};
+
+// Health of the workspace's webhooks; repair=true re-creates the inactive and
+// failing ones
+const getHealth = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspaceId || process.env.ASANA_WORKSPACE_ID;
+    if (!workspaceId) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "workspaceId is required",
+      });
+    }
+
+    const report = await checkWebhookHealth(workspaceId, {
+      projectId: req.query.projectId,
+      sheetId: req.query.sheetId,
+    });
+    const result = summarizeHealth(report);
+    if (req.query.repair === "true") {
+      const { createdWebhooks, ...counts } = await repairWebhooks(report);
+      result.repair = counts;
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error checking webhook health:", describeAsanaError(error));
+    res.status(500).json({
+      error: "Internal server error",
+      message: describeAsanaError(error),
+    });
+  }
+};
+
+// The encrypted envelope of the server's webhook secrets, for WEBHOOK_SECRETS
+// (see secretStore.js)
+const exportSecrets = async (req, res) => {
+  try {
+    res.type("text/plain").send(await exportEncryptedSecrets());
+  } catch (error) {
+    console.error("Error exporting webhook secrets:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getQueue,
+  getMetrics,
+  getDeadLetters,
+  getDeadLetterById,
+  replayDeadLetterById,
+  discardDeadLetterById,
+  getRegistrations,
+  pollProjectsNow,
+  getHealth,
+  exportSecrets,
+};
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getJobs,
+  getJobById,
+  cancelJobById,
+} = require("../controllers/jobController");
+
+// Background jobs, newest first (optionally ?type=workspace-export)
+router.get("/", getJobs);
+
+// One job with its phase, progress counts and errors
+router.get("/:id", getJobById);
+
+// Cancel a running job
+router.post("/:id/cancel", cancelJobById);
+
+module.exports = router;
@@ -5,18 +5,29 @@ const {
   getAllProjectsWithTasks,
   exportProjectsToSheet,
   exportWorkspaceToSheet,
+  syncWorkspaceToSheet,
   getWorkspaceProjectById,
 } = require("../controllers/projectController");
+const {
+  reconcileWorkspaceSheet,
+} = require("../controllers/reconcileController");
 
 // Get all projects with their tasks (with optional workspaceId)
 router.get("/workspace/all-with-tasks", getAllProjectsWithTasks);
 
-// Export projects and tasks to Google Sheets
+// Export projects and tasks to a new Google Sheet (as a background job)
 router.get("/workspace/export-to-sheets", exportProjectsToSheet);
 
-// New endpoint for exporting specific workspace to a different sheet
+// New endpoint for exporting specific workspace to a different sheet (as a
+// background job)
 router.get("/workspace/:workspaceId/export-to-sheets", exportWorkspaceToSheet);
 
+// Incremental sync: only apply tasks modified since the last sync of the sheet
+router.get("/workspace/:workspaceId/sync-to-sheets", syncWorkspaceToSheet);
+
+// Compare Asana with the sheet and report (or, with apply=true, fix) drift
+router.get("/workspace/:workspaceId/reconcile", reconcileWorkspaceSheet);
+
 // Get all projects in a workspace (with optional workspaceId)
 router.get("/workspace/:workspaceId?", getWorkspaceProjects);
 
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listSchedules,
+  getHistory,
+  getHistoryRun,
+  runScheduleNow,
+} = require("../controllers/scheduleController");
+
+// Scheduled jobs with their next and last runs
+router.get("/", listSchedules);
+
+// Past runs, newest first (optionally ?job=<name>)
+router.get("/history", getHistory);
+
+// One run, including its row counts and errors
+router.get("/history/:runId", getHistoryRun);
+
+// Run a job now
+router.post("/:name/run", runScheduleNow);
+
+module.exports = router;
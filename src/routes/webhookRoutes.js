@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getQueue,
+  getMetrics,
+  getDeadLetters,
+  getDeadLetterById,
+  replayDeadLetterById,
+  discardDeadLetterById,
+  getRegistrations,
+  pollProjectsNow,
+  getHealth,
+  exportSecrets,
+} = require("../controllers/webhookController");
+const { requireAdminToken } = require("../config/adminToken");
+
+// Status of the webhook event queue
+router.get("/queue", getQueue);
+
+// Health of the Asana webhooks (add repair=true to re-create unhealthy ones)
+router.get("/health", getHealth);
+
+// Delivery counters, including rejected signatures
+router.get("/metrics", getMetrics);
+
+// List events that failed too many times
+router.get("/dead-letters", getDeadLetters);
+
+// Inspect a dead-lettered event
+router.get("/dead-letters/:id", getDeadLetterById);
+
+// Put a dead-lettered event back on the queue
+router.post("/dead-letters/:id/replay", replayDeadLetterById);
+
+// Drop a dead-lettered event
+router.delete("/dead-letters/:id", discardDeadLetterById);
+
+// Webhooks registered for new projects, and the poller's status
+router.get("/registrations", getRegistrations);
+
+// Look for new projects now instead of waiting for the next poll
+router.post("/registrations/poll", pollProjectsNow);
+
+// Encrypted webhook secrets for WEBHOOK_SECRETS (needs the admin token)
+router.get("/secrets/export", requireAdminToken, exportSecrets);
+
+module.exports = router;
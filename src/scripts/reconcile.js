@@ -0,0 +1,57 @@
+require("dotenv").config();
+const { reconcileSheet } = require("../controllers/reconcileController");
+
+// Usage: node src/scripts/reconcile.js <workspaceId> <sheetId> [--project <projectId>] [--apply]
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = [];
+  let projectId = null;
+  let apply = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--apply") {
+      apply = true;
+    } else if (args[i] === "--project") {
+      projectId = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const [workspaceId = process.env.ASANA_WORKSPACE_ID, spreadsheetId] =
+    positional;
+
+  if (!workspaceId || !spreadsheetId) {
+    console.error(
+      "Please provide: workspaceId (or set ASANA_WORKSPACE_ID) and sheetId, optionally --project <projectId> and --apply"
+    );
+    process.exit(1);
+  }
+
+  const result = await reconcileSheet({
+    workspaceId,
+    spreadsheetId,
+    projectId,
+    apply,
+  });
+
+  console.log("\nReconciliation summary:");
+  console.log(`  Projects checked: ${result.projectsChecked}`);
+  console.log(`  Expected rows:    ${result.expectedRows}`);
+  console.log(`  Missing rows:     ${result.counts.missing}`);
+  console.log(`  Stale rows:       ${result.counts.stale}`);
+  console.log(`  Orphaned rows:    ${result.counts.orphaned}`);
+  console.log(`  Duplicate tasks:  ${result.counts.duplicates}`);
+  console.log(
+    result.applied
+      ? "Differences were fixed."
+      : "Run again with --apply to fix the differences."
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error reconciling sheet:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,123 @@
+require("dotenv").config();
+const axios = require("axios");
+const {
+  getGoogleSheetsClient,
+  getSheetTabId,
+} = require("../config/googleSheets");
+const {
+  storeWebhookSecret,
+  listWebhookSecrets,
+  exportEncryptedSecrets,
+} = require("../config/secretStore");
+const { getAdminHeaders } = require("../config/adminToken");
+
+// Sheet tab that held webhook secrets before the secret store existed
+const LEGACY_SECRETS_SHEET = "webhook_secrets";
+
+// Usage:
+//   node src/scripts/webhookSecrets.js migrate <sheetId> [--keep-sheet]
+//   node src/scripts/webhookSecrets.js list
+//   node src/scripts/webhookSecrets.js export [--server <url>]
+const USAGE =
+  "Usage: webhookSecrets.js migrate <sheetId> [--keep-sheet] | list | export [--server <url>]";
+
+// Copy the secrets from a spreadsheet's webhook_secrets tab into the secret
+// store, then delete the tab (unless keepSheet)
+async function migrate(spreadsheetId, keepSheet) {
+  const sheets = await getGoogleSheetsClient();
+
+  let sheetId;
+  try {
+    sheetId = await getSheetTabId(sheets, spreadsheetId, LEGACY_SECRETS_SHEET);
+  } catch (error) {
+    console.log(`No ${LEGACY_SECRETS_SHEET} tab in ${spreadsheetId}`);
+    return;
+  }
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${LEGACY_SECRETS_SHEET}!A2:C`,
+  });
+  const rows = (response.data.values || []).filter(([, secret]) => secret);
+
+  for (const [webhookId, secret, resourceId] of rows) {
+    await storeWebhookSecret(spreadsheetId, { webhookId, resourceId, secret });
+  }
+  console.log(`Migrated ${rows.length} webhook secrets from ${spreadsheetId}`);
+
+  if (keepSheet) {
+    console.log(`Kept the ${LEGACY_SECRETS_SHEET} tab (--keep-sheet)`);
+    return;
+  }
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: [{ deleteSheet: { sheetId } }],
+    },
+  });
+  console.log(`Deleted the ${LEGACY_SECRETS_SHEET} tab`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case "migrate": {
+      const spreadsheetId = args.find((arg) => !arg.startsWith("--"));
+      if (!spreadsheetId) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      await migrate(spreadsheetId, args.includes("--keep-sheet"));
+      break;
+    }
+
+    case "list": {
+      const secrets = await listWebhookSecrets();
+      console.log(`${secrets.length} webhook secrets stored:`);
+      secrets.forEach((entry) =>
+        console.log(
+          `  sheet ${entry.spreadsheetId}  webhook ${
+            entry.webhookId || "-"
+          }  resource ${entry.resourceId || "-"}  stored ${
+            entry.storedAt || "-"
+          }`
+        )
+      );
+      break;
+    }
+
+    case "export": {
+      // Encrypted, so it is safe to print. With --server, the secrets of the
+      // running server (which holds the ones from new handshakes)
+      const serverIndex = args.indexOf("--server");
+      if (serverIndex === -1) {
+        console.log(await exportEncryptedSecrets());
+        break;
+      }
+      const serverUrl = args[serverIndex + 1];
+      if (!serverUrl) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      const response = await axios.get(
+        new URL("/api/webhooks/secrets/export", serverUrl).toString(),
+        { headers: getAdminHeaders(), responseType: "text" }
+      );
+      console.log(response.data);
+      break;
+    }
+
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error managing webhook secrets:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,373 @@
+require("dotenv").config();
+const {
+  buildTargetUrl,
+  getWebhookTargetUrl,
+  getTargetSheetId,
+  describeWebhook,
+  listWebhooks,
+  listActiveProjects,
+} = require("../config/asanaWebhooks");
+const {
+  getWebhookTargets,
+  loadWebhookState,
+  planWebhookSync,
+  applyWebhookSync,
+} = require("../config/webhookSync");
+const {
+  checkWebhookHealth,
+  repairWebhooks,
+} = require("../config/webhookHealth");
+const { describeAsanaError } = require("../config/asanaHttp");
+const { listWebhookSecrets } = require("../config/secretStore");
+
+const USAGE = `Usage: node src/scripts/webhooks.js <command> [options]
+
+Commands:
+  list     List the webhooks
+  create   Create the missing webhooks
+  delete   Delete the webhooks (with --target, only those on that URL)
+  sync     Create the missing webhooks and delete the stale ones on the
+           target URLs, leaving webhooks on other URLs alone
+  verify   Report missing and stale webhooks and webhooks without a secret
+  health   Report inactive and failing webhooks (--repair re-creates them)
+
+Options:
+  --workspace <id>  Workspace (default: ASANA_WORKSPACE_ID)
+  --project <id>    Only this project
+  --sheet <id>      Only webhooks writing to this spreadsheet
+  --target <url>    Server URL (default: the webhookTargets settings, then
+                    NGROK_URL or ASANA_WEBHOOK_TARGET)
+  --repair          With health: re-create inactive and failing webhooks
+  --dry-run         Print the changes without making them`;
+
+function parseArgs(argv) {
+  const [command, ...args] = argv;
+  const options = {
+    workspaceId: process.env.ASANA_WORKSPACE_ID,
+    projectId: null,
+    sheetId: null,
+    target: null,
+    dryRun: false,
+    repair: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--workspace":
+        options.workspaceId = args[++i];
+        break;
+      case "--project":
+        options.projectId = args[++i];
+        break;
+      case "--sheet":
+        options.sheetId = args[++i];
+        break;
+      case "--target":
+        options.target = args[++i];
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--repair":
+        options.repair = true;
+        break;
+      default:
+        throw new Error(`Unknown option "${args[i]}"`);
+    }
+  }
+
+  if (options.target) {
+    options.sheetId = getTargetSheetId(
+      buildTargetUrl(options.target, options.sheetId)
+    );
+  }
+
+  return { command, options };
+}
+
+// The targets to sync: --target, else the webhookTargets settings (narrowed
+// by --sheet), else NGROK_URL or ASANA_WEBHOOK_TARGET
+function getTargets(options) {
+  if (options.target) {
+    return [{ url: options.target, sheetId: options.sheetId }];
+  }
+
+  const targets = getWebhookTargets().filter(
+    (target) =>
+      !options.sheetId ||
+      getTargetSheetId(buildTargetUrl(target.url, target.sheetId)) ===
+        options.sheetId
+  );
+  if (targets.length > 0) return targets;
+
+  const url = process.env.NGROK_URL || process.env.ASANA_WEBHOOK_TARGET;
+  return url ? [{ url, sheetId: options.sheetId }] : [];
+}
+
+// The webhooks the options select
+async function getScopedWebhooks(options) {
+  const webhooks = await listWebhooks(options.workspaceId, {
+    projectId: options.projectId,
+  });
+  return options.sheetId
+    ? webhooks.filter(
+        (webhook) => getTargetSheetId(webhook.target) === options.sheetId
+      )
+    : webhooks;
+}
+
+// The active projects the options select
+async function getScopedProjects(options) {
+  const projects = await listActiveProjects(options.workspaceId);
+  if (!options.projectId) return projects;
+
+  const project = projects.find((p) => p.gid === options.projectId);
+  if (!project) {
+    console.log(
+      `Project ${options.projectId} is archived or not in workspace ${options.workspaceId}`
+    );
+  }
+  return project ? [project] : [];
+}
+
+// Load the desired and existing webhooks and compare them
+async function planTargets(options) {
+  const targets = getTargets(options);
+  if (targets.length === 0) {
+    throw new Error(
+      "Provide --target, add webhookTargets to the settings or set NGROK_URL"
+    );
+  }
+
+  const state = await loadWebhookState(targets, options);
+  const projectCount = state.targets.reduce(
+    (sum, { projects }) => sum + projects.length,
+    0
+  );
+  console.log(
+    `Found ${state.webhooks.length} webhooks; ${projectCount} projects should have one on ${state.targets.length} target URLs`
+  );
+  return planWebhookSync(state);
+}
+
+function printCounts(plan, counts, options) {
+  console.log(
+    options.dryRun
+      ? `\n[dry run] Would create ${plan.create.length} and delete ${plan.remove.length} webhooks`
+      : `\nProcessed ${
+          plan.create.length + plan.remove.length
+        } changes: created ${counts.created} and deleted ${
+          counts.deleted
+        } webhooks (${counts.failed} failures)`
+  );
+}
+
+async function listCommand(options) {
+  const webhooks = await getScopedWebhooks(options);
+  console.log(`${webhooks.length} webhooks:`);
+  webhooks.forEach((webhook) => {
+    console.log(`  ${describeWebhook(webhook)}`);
+    console.log(`    target ${webhook.target}`);
+    if (webhook.last_failure_at) {
+      console.log(
+        `    last failure ${webhook.last_failure_at}: ${webhook.last_failure_content}`
+      );
+    }
+  });
+  return 0;
+}
+
+async function createCommand(options) {
+  const plan = await planTargets(options);
+
+  // Only webhooks that are replaced are deleted; stale ones are left to sync
+  const createPlan = {
+    create: plan.create,
+    remove: plan.remove.filter(({ replaced }) => replaced),
+  };
+  const counts = await applyWebhookSync(createPlan, options);
+  printCounts(createPlan, counts, options);
+  return counts.failed;
+}
+
+async function deleteCommand(options) {
+  let webhooks = await getScopedWebhooks(options);
+  console.log(`Found ${webhooks.length} webhooks`);
+  if (options.target) {
+    const targetUrl = buildTargetUrl(options.target, options.sheetId);
+    webhooks = webhooks.filter(
+      (webhook) => getWebhookTargetUrl(webhook.target) === targetUrl
+    );
+  }
+
+  const plan = {
+    create: [],
+    remove: webhooks.map((webhook) => ({ webhook, reason: "delete" })),
+  };
+  const counts = await applyWebhookSync(plan, options);
+  printCounts(plan, counts, options);
+  return counts.failed;
+}
+
+async function syncCommand(options) {
+  const plan = await planTargets(options);
+  console.log(
+    `${plan.unchanged} webhooks are up to date; leaving ${plan.unmanaged.length} webhooks on other URLs alone`
+  );
+
+  const counts = await applyWebhookSync(plan, options);
+  printCounts(plan, counts, options);
+  return counts.failed;
+}
+
+// Secrets are only readable where the secret store is (e.g. the server's
+// data directory), so the check is skipped when it can't be read
+async function loadStoredSecrets() {
+  try {
+    return await listWebhookSecrets();
+  } catch (error) {
+    console.warn(`Skipping the secret check: ${error.message}`);
+    return null;
+  }
+}
+
+function hasStoredSecret(secrets, webhook) {
+  const sheetId = getTargetSheetId(webhook.target);
+  return secrets.some(
+    (entry) =>
+      entry.webhookId === webhook.gid ||
+      (entry.resourceId === webhook.resource?.gid &&
+        entry.spreadsheetId === sheetId)
+  );
+}
+
+// Problems with the webhooks of the targets: missing and stale webhooks
+async function checkTargets(targets, options) {
+  const state = await loadWebhookState(targets, options);
+  const { create, remove, unmanaged } = planWebhookSync(state);
+
+  return {
+    webhooks: state.webhooks.filter((webhook) => !unmanaged.includes(webhook)),
+    problems: [
+      ...create.map(
+        ({ project, targetUrl }) =>
+          `Project "${project.name}" (${project.gid}): no webhook on ${targetUrl}`
+      ),
+      ...remove.map(
+        ({ webhook, reason }) => `${describeWebhook(webhook)}: ${reason}`
+      ),
+    ],
+  };
+}
+
+// Without targets: projects without an active webhook, and inactive webhooks
+async function checkProjects(options) {
+  const [projects, webhooks] = await Promise.all([
+    getScopedProjects(options),
+    getScopedWebhooks(options),
+  ]);
+  const watched = new Set(
+    webhooks.filter((w) => w.active).map((w) => w.resource?.gid)
+  );
+
+  return {
+    webhooks,
+    problems: [
+      ...projects
+        .filter((project) => !watched.has(project.gid))
+        .map(
+          (project) =>
+            `Project "${project.name}" (${project.gid}): no active webhook`
+        ),
+      ...webhooks
+        .filter((webhook) => !webhook.active)
+        .map((webhook) => `${describeWebhook(webhook)}: inactive`),
+    ],
+  };
+}
+
+async function verifyCommand(options) {
+  const targets = getTargets(options);
+  const { webhooks, problems } =
+    targets.length > 0
+      ? await checkTargets(targets, options)
+      : await checkProjects(options);
+
+  const secrets = await loadStoredSecrets();
+  if (secrets) {
+    webhooks
+      .filter((webhook) => !hasStoredSecret(secrets, webhook))
+      .forEach((webhook) =>
+        problems.push(`${describeWebhook(webhook)}: no stored secret`)
+      );
+  }
+
+  console.log(`Checked ${webhooks.length} webhooks`);
+  problems.forEach((problem) => console.log(`  ${problem}`));
+  console.log(
+    problems.length === 0 ? "No problems found" : `${problems.length} problems`
+  );
+  return problems.length;
+}
+
+async function healthCommand(options) {
+  const report = await checkWebhookHealth(options.workspaceId, options);
+  console.log(
+    `${report.total} webhooks: ${report.counts.healthy} healthy, ${report.counts.failing} failing, ${report.counts.inactive} inactive`
+  );
+  report.webhooks.forEach((result) => {
+    console.log(
+      `  ${result.status.padEnd(8)} ${describeWebhook(result.webhook)}`
+    );
+    console.log(
+      `    last success ${result.lastSuccessAt || "-"}, last failure ${
+        result.lastFailureAt || "-"
+      }, last delivered here ${result.lastDeliveredAt || "-"}`
+    );
+    if (result.status !== "healthy" && result.lastFailureContent) {
+      console.log(`    ${result.lastFailureContent}`);
+    }
+  });
+
+  const unhealthy = report.webhooks.filter(
+    ({ status }) => status !== "healthy"
+  );
+  if (!options.repair || unhealthy.length === 0) {
+    return unhealthy.length;
+  }
+
+  // Each unhealthy webhook is deleted and created again
+  const counts = await repairWebhooks(report, options);
+  printCounts({ create: unhealthy, remove: unhealthy }, counts, options);
+  return options.dryRun ? unhealthy.length : counts.failed;
+}
+
+const commands = {
+  list: listCommand,
+  create: createCommand,
+  delete: deleteCommand,
+  sync: syncCommand,
+  verify: verifyCommand,
+  health: healthCommand,
+};
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (!commands[command]) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (!options.workspaceId) {
+    throw new Error("Provide --workspace or set ASANA_WORKSPACE_ID");
+  }
+  const failures = await commands[command](options);
+  return failures > 0 ? 1 : 0;
+}
+
+main()
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    console.error("Error managing webhooks:", describeAsanaError(error));
+    process.exit(1);
+  });
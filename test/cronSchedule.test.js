@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, getNextRun } = require("../src/config/cronSchedule");
+
+const values = (set) => [...set].sort((a, b) => a - b);
+
+test("parseCron expands wildcards, ranges, lists and steps", () => {
+  const schedule = parseCron("*/15 9-11 1,15 * 1-5");
+
+  assert.deepEqual(values(schedule.minute), [0, 15, 30, 45]);
+  assert.deepEqual(values(schedule.hour), [9, 10, 11]);
+  assert.deepEqual(values(schedule.dayOfMonth), [1, 15]);
+  assert.equal(schedule.month.size, 12);
+  assert.deepEqual(values(schedule.dayOfWeek), [1, 2, 3, 4, 5]);
+});
+
+test("parseCron runs a single value with a step up to the maximum", () => {
+  assert.deepEqual(values(parseCron("50/5 * * * *").minute), [50, 55]);
+});
+
+test("parseCron treats day of week 7 as Sunday", () => {
+  assert.equal(parseCron("0 0 * * 7").dayOfWeek.has(0), true);
+});
+
+test("parseCron rejects malformed expressions", () => {
+  assert.throws(() => parseCron("* * * *"), /expected 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /Invalid minute field/);
+  assert.throws(() => parseCron("* 5-1 * * *"), /Invalid hour field/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid minute field/);
+  assert.throws(() => parseCron("a * * * *"), /Invalid minute field/);
+});
+
+test("getNextRun finds the next matching minute", () => {
+  const from = new Date(2026, 0, 1, 10, 7, 30);
+
+  assert.deepEqual(
+    getNextRun(parseCron("*/15 * * * *"), from),
+    new Date(2026, 0, 1, 10, 15)
+  );
+  assert.deepEqual(
+    getNextRun(parseCron("0 2 * * *"), from),
+    new Date(2026, 0, 2, 2, 0)
+  );
+});
+
+test("getNextRun runs on either restricted day field, as cron does", () => {
+  // 2026-01-01 is a Thursday; the next Monday is the 5th, before the 15th
+  assert.deepEqual(
+    getNextRun(parseCron("0 0 15 * 1"), new Date(2026, 0, 1)),
+    new Date(2026, 0, 5)
+  );
+});
+
+test("getNextRun returns null for dates that never come", () => {
+  assert.equal(getNextRun(parseCron("0 0 31 2 *"), new Date(2026, 0, 1)), null);
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-queue-"));
+process.env.DATA_DIR = dataDir;
+process.env.WEBHOOK_COALESCE_MS = "20";
+process.env.WEBHOOK_RETRY_BASE_MS = "20";
+process.env.WEBHOOK_LOCK_WAIT_MS = "50";
+process.env.WEBHOOK_MAX_ATTEMPTS = "2";
+
+const {
+  enqueueEvents,
+  startQueueWorker,
+  getQueueStatus,
+  listDeadLetters,
+  discardDeadLetter,
+} = require("../src/config/eventQueue");
+const {
+  acquireSheetLock,
+  releaseSheetLock,
+} = require("../src/config/sheetLocks");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error("Timed out waiting for the queue");
+    }
+    await delay(10);
+  }
+}
+
+// The worker is started once; each test sets the handlers it needs
+let handleEvent;
+let handleBatch;
+const calls = [];
+startQueueWorker(
+  async (event, spreadsheetId) => {
+    calls.push({ single: event, spreadsheetId });
+    return handleEvent(event, spreadsheetId);
+  },
+  async (events, spreadsheetId) => {
+    calls.push({ batch: events, spreadsheetId });
+    return handleBatch(events, spreadsheetId);
+  }
+);
+
+test.beforeEach(() => {
+  calls.length = 0;
+  handleEvent = async () => {};
+  handleBatch = async () => {};
+  listDeadLetters().forEach(({ id }) => discardDeadLetter(id));
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("handles the due events of each spreadsheet as one batch", async () => {
+  enqueueEvents("S1", [{ id: 1 }, { id: 2 }, { id: 3 }]);
+  enqueueEvents("S2", [{ id: 4 }]);
+
+  await waitFor(() => getQueueStatus().pending === 0);
+
+  assert.deepEqual(calls, [
+    { batch: [{ id: 1 }, { id: 2 }, { id: 3 }], spreadsheetId: "S1" },
+    { single: { id: 4 }, spreadsheetId: "S2" },
+  ]);
+});
+
+test("retries only the events a batch reports as failed", async () => {
+  let failed = false;
+  handleBatch = async (events) => {
+    if (failed) return;
+    failed = true;
+    const error = new Error("partly failed");
+    error.failedEvents = [{ event: events[1], error: new Error("fetch") }];
+    throw error;
+  };
+  enqueueEvents("S1", [{ id: 1 }, { id: 2 }]);
+
+  await waitFor(() => getQueueStatus().pending === 0);
+
+  assert.deepEqual(calls.slice(1), [
+    { single: { id: 2 }, spreadsheetId: "S1" },
+  ]);
+});
+
+test("falls back to one event at a time when a batch fails", async () => {
+  handleBatch = async () => {
+    throw new Error("write failed");
+  };
+  enqueueEvents("S1", [{ id: 1 }, { id: 2 }]);
+
+  await waitFor(() => getQueueStatus().pending === 0);
+
+  assert.deepEqual(calls.slice(1), [
+    { single: { id: 1 }, spreadsheetId: "S1" },
+    { single: { id: 2 }, spreadsheetId: "S1" },
+  ]);
+});
+
+test("dead-letters an event after the last attempt", async () => {
+  handleEvent = async () => {
+    throw new Error("always fails");
+  };
+  enqueueEvents("S1", [{ id: 1 }]);
+
+  await waitFor(() => listDeadLetters().length === 1);
+
+  const [deadLetter] = listDeadLetters();
+  assert.equal(deadLetter.attempts, 2);
+  assert.equal(deadLetter.lastError, "always fails");
+  assert.equal(getQueueStatus().pending, 0);
+  assert.equal(calls.length, 2);
+});
+
+test("holds a locked sheet's events until the lock is released", async () => {
+  assert.equal(acquireSheetLock("S1", "export-1", "export"), true);
+  enqueueEvents("S1", [{ id: 1 }]);
+
+  // Held past several lock checks, without using up attempts
+  await delay(150);
+  assert.deepEqual(calls, []);
+  assert.deepEqual(getQueueStatus(), {
+    pending: 1,
+    retrying: 0,
+    deadLetters: 0,
+  });
+
+  releaseSheetLock("S1", "export-1");
+  await waitFor(() => getQueueStatus().pending === 0);
+
+  assert.deepEqual(calls, [{ single: { id: 1 }, spreadsheetId: "S1" }]);
+});
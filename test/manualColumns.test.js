@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  shiftFormulaRows,
+  alignManualColumns,
+} = require("../src/config/manualColumns");
+
+const mapping = {
+  columns: [
+    { source: "task.gid", header: "Task ID" },
+    { source: "task.name", header: "Task Name" },
+  ],
+};
+
+test("shiftFormulaRows moves relative row references", () => {
+  assert.equal(shiftFormulaRows("=H5*0.1", 4), "=H9*0.1");
+  assert.equal(shiftFormulaRows("=SUM(A5:C6)", -2), "=SUM(A3:C4)");
+  assert.equal(shiftFormulaRows("=Sheet2!H5", 1), "=Sheet2!H6");
+});
+
+test("shiftFormulaRows matches references in either case", () => {
+  assert.equal(shiftFormulaRows("=h5+sum(a5:c6)", 4), "=h9+sum(a9:c10)");
+});
+
+test("shiftFormulaRows keeps anchored rows, quoted text and function names", () => {
+  assert.equal(shiftFormulaRows("=H$5+$H$5+$H5", 1), "=H$5+$H$5+$H6");
+  assert.equal(shiftFormulaRows('=A5&"B5"', 1), '=A6&"B5"');
+  assert.equal(
+    shiftFormulaRows("=LOG10(A5)+log10(a5)", 1),
+    "=LOG10(A6)+log10(a6)"
+  );
+});
+
+test("shiftFormulaRows turns references above row 1 into #REF!", () => {
+  assert.equal(shiftFormulaRows("=H2", -3), "=#REF!");
+});
+
+test("alignManualColumns carries cells over to each task's new row", () => {
+  const manual = {
+    headers: ["Note"],
+    entries: [
+      { taskId: "2", rowNumber: 3, row: ["2", "B"], values: ["=A3"] },
+      { taskId: "1", rowNumber: 2, row: ["1", "A"], values: ["paid"] },
+    ],
+  };
+  const rows = [
+    ["Task ID", "Task Name"],
+    ["2", "B"],
+    ["3", "C"],
+    ["1", "A"],
+  ];
+
+  const { manualRows, orphans } = alignManualColumns(manual, rows, mapping);
+
+  assert.deepEqual(manualRows, [["Note"], ["=A2"], [""], ["paid"]]);
+  assert.deepEqual(orphans, []);
+});
+
+test("alignManualColumns returns the cells of tasks without a row as orphans", () => {
+  const gone = { taskId: "9", rowNumber: 2, row: ["9", "Z"], values: ["x"] };
+  const noId = { taskId: "", rowNumber: 3, row: ["", ""], values: ["y"] };
+  const extra = { taskId: "1", rowNumber: 5, row: ["1", "A"], values: ["z"] };
+  const manual = {
+    headers: ["Note"],
+    entries: [
+      gone,
+      noId,
+      { taskId: "1", rowNumber: 4, row: ["1", "A"], values: ["w"] },
+      extra,
+    ],
+  };
+  const rows = [
+    ["Task ID", "Task Name"],
+    ["1", "A"],
+  ];
+
+  const { manualRows, orphans } = alignManualColumns(manual, rows, mapping);
+
+  assert.deepEqual(manualRows, [["Note"], ["w"]]);
+  assert.deepEqual(orphans, [noId, gone, extra]);
+});
+
+test("alignManualColumns does nothing without manual columns", () => {
+  assert.deepEqual(
+    alignManualColumns({ headers: [], entries: [] }, [["Task ID"]], mapping),
+    { manualRows: [], orphans: [] }
+  );
+});
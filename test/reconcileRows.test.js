@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { compareRows } = require("../src/config/reconcileRows");
+
+const mapping = {
+  columns: [
+    { source: "task.gid", header: "Task ID" },
+    { source: "task.name", header: "Task Name" },
+    { source: "project.gid", header: "Project ID" },
+  ],
+};
+const header = ["Task ID", "Task Name", "Project ID"];
+
+test("compareRows reports missing, stale, orphaned and duplicate rows", () => {
+  const rows = [
+    header,
+    ["1", "One", "p1"],
+    ["2", "Old name", "p1"],
+    ["3", "Three", "p1"],
+    ["1", "One", "p1"],
+    ["9", "Gone", "p1"],
+    [],
+  ];
+  const expected = new Map([
+    ["1", ["1", "One", "p1"]],
+    ["2", ["2", "Two", "p1"]],
+    ["4", ["4", "Four", "p1"]],
+  ]);
+
+  const { report, expectedRows } = compareRows({
+    mapping,
+    rows,
+    expected,
+    allTaskIds: new Set(["1", "2", "3", "4"]),
+  });
+
+  assert.deepEqual(report.missing, [
+    { taskId: "4", values: expected.get("4") },
+  ]);
+  assert.deepEqual(report.stale, [
+    { taskId: "2", rowIndex: 3, values: expected.get("2") },
+  ]);
+  assert.deepEqual(
+    report.orphaned.map(({ taskId, rowIndex, reason }) => ({
+      taskId,
+      rowIndex,
+      reason,
+    })),
+    [
+      { taskId: "3", rowIndex: 4, reason: "not-included" },
+      { taskId: "9", rowIndex: 6, reason: "not-found" },
+    ]
+  );
+  assert.deepEqual(report.duplicates, [{ taskId: "1", rowIndexes: [2, 5] }]);
+  assert.equal(expectedRows, 3);
+});
+
+test("compareRows compares cells as strings", () => {
+  const { report } = compareRows({
+    mapping,
+    rows: [header, [1, "One"]],
+    expected: new Map([["1", ["1", "One", ""]]]),
+    allTaskIds: new Set(["1"]),
+  });
+
+  assert.deepEqual(report.stale, []);
+});
+
+test("compareRows checks kept rows only where the sheet has them", () => {
+  const { report, expectedRows } = compareRows({
+    mapping,
+    rows: [header, ["5", "Old", "p1"]],
+    expected: new Map(),
+    keptRows: new Map([
+      ["5", ["5", "Five", "p1"]],
+      ["6", ["6", "Six", "p1"]],
+    ]),
+    allTaskIds: new Set(["5", "6"]),
+  });
+
+  assert.deepEqual(
+    report.stale.map(({ taskId }) => taskId),
+    ["5"]
+  );
+  assert.deepEqual(report.missing, []);
+  assert.deepEqual(report.orphaned, []);
+  assert.equal(expectedRows, 1);
+});
+
+test("compareRows leaves other projects' and kept archived rows alone", () => {
+  const rows = [header, ["7", "Seven", "p2"], ["8", "Eight", "archived"]];
+
+  const { report, archivedRowsSkipped } = compareRows({
+    mapping,
+    rows,
+    expected: new Map(),
+    allTaskIds: new Set(),
+    projectId: "p2",
+  });
+  assert.deepEqual(
+    report.orphaned.map(({ taskId }) => taskId),
+    ["7"]
+  );
+  assert.equal(archivedRowsSkipped, 0);
+
+  const kept = compareRows({
+    mapping,
+    rows,
+    expected: new Map(),
+    allTaskIds: new Set(),
+    archivedProjectIds: new Set(["archived"]),
+    keepsArchivedRows: true,
+  });
+  assert.deepEqual(
+    kept.report.orphaned.map(({ taskId }) => taskId),
+    ["7"]
+  );
+  assert.equal(kept.archivedRowsSkipped, 1);
+});
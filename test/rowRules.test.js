@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), "row-rules-"));
+process.env.SYNC_SETTINGS_FILE = path.join(settingsDir, "settings.json");
+fs.writeFileSync(
+  process.env.SYNC_SETTINGS_FILE,
+  JSON.stringify({
+    sheets: {
+      custom: {
+        rules: {
+          include: [{ section: "Payouts" }],
+          exclude: [{ tag: "private" }],
+        },
+      },
+    },
+  })
+);
+
+const { matchesRule, qualifiesForSheet } = require("../src/config/rowRules");
+
+test.after(() => fs.rmSync(settingsDir, { recursive: true, force: true }));
+
+const task = {
+  completed: false,
+  assignee: { name: "Manager" },
+  memberships: [
+    { project: { name: "Client A" }, section: { name: "Payouts" } },
+  ],
+  tags: [{ name: "urgent" }],
+  custom_fields: [
+    { name: "Status", enum_value: { name: "Paid" } },
+    { name: "Amount", number_value: 0 },
+  ],
+};
+
+test("matchesRule needs every condition to match", () => {
+  assert.equal(
+    matchesRule({ completed: false, assignee: "Manager" }, task),
+    true
+  );
+  assert.equal(
+    matchesRule({ completed: true, assignee: "Manager" }, task),
+    false
+  );
+});
+
+test("matchesRule checks each kind of condition", () => {
+  assert.equal(matchesRule({ assignee: null }, { assignee: null }), true);
+  assert.equal(matchesRule({ section: ["Payouts", "Other"] }, task), true);
+  assert.equal(matchesRule({ tag: "private" }, task), false);
+  assert.equal(matchesRule({ projectName: "^client" }, task), true);
+  assert.equal(
+    matchesRule({ projectName: "^client" }, task, { projectName: "Other" }),
+    false
+  );
+  assert.equal(
+    matchesRule({ customFields: { Status: ["Paid"], Amount: 0 } }, task),
+    true
+  );
+  assert.equal(
+    matchesRule({ customFields: { Status: "Pending" } }, task),
+    false
+  );
+});
+
+test("matchesRule rejects unknown conditions", () => {
+  assert.throws(
+    () => matchesRule({ colour: "red" }, task),
+    /Unknown condition/
+  );
+});
+
+test("qualifiesForSheet uses the built-in rules when a sheet has none", () => {
+  assert.equal(qualifiesForSheet("other", task), true);
+  assert.equal(
+    qualifiesForSheet("other", { ...task, assignee: { name: "Someone" } }),
+    false
+  );
+});
+
+test("qualifiesForSheet applies a sheet's include and exclude rules", () => {
+  assert.equal(qualifiesForSheet("custom", task), true);
+  assert.equal(
+    qualifiesForSheet("custom", { ...task, tags: [{ name: "private" }] }),
+    false
+  );
+  assert.equal(
+    qualifiesForSheet("custom", { ...task, memberships: [] }),
+    false
+  );
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), "sheet-routes-"));
+process.env.SYNC_SETTINGS_FILE = path.join(settingsDir, "settings.json");
+fs.writeFileSync(
+  process.env.SYNC_SETTINGS_FILE,
+  JSON.stringify({
+    routes: [
+      {
+        name: "accounting",
+        projects: ["p1"],
+        targets: [
+          { spreadsheetId: "accounting", filter: { completed: true } },
+          { spreadsheetId: "own" },
+        ],
+      },
+      {
+        name: "workspace",
+        workspaces: ["w1"],
+        targets: [{ spreadsheetId: "all" }],
+      },
+    ],
+  })
+);
+
+const {
+  getRouteTargets,
+  targetAcceptsTask,
+  getTaskRouteContext,
+} = require("../src/config/sheetRoutes");
+
+test.after(() => fs.rmSync(settingsDir, { recursive: true, force: true }));
+
+const ids = (targets) => targets.map(({ spreadsheetId }) => spreadsheetId);
+
+test("routes a project's events to the webhook's sheet and its route targets", () => {
+  const targets = getRouteTargets("own", {
+    projectId: "p1",
+    workspaceId: "w2",
+  });
+
+  assert.deepEqual(ids(targets), ["own", "accounting"]);
+  // The webhook's sheet takes every task, whatever the route's filter
+  assert.deepEqual(targets[0].filters, [null, null]);
+  assert.deepEqual(targets[1].filters, [{ completed: true }]);
+});
+
+test("routes by workspace when the project isn't listed", () => {
+  assert.deepEqual(
+    ids(getRouteTargets("own", { projectId: "p2", workspaceId: "w1" })),
+    ["own", "all"]
+  );
+  assert.deepEqual(
+    ids(getRouteTargets("own", { projectId: "p2", workspaceId: "w2" })),
+    ["own"]
+  );
+});
+
+test("sends events of an unknown project to every route that may hold it", () => {
+  assert.deepEqual(ids(getRouteTargets(null, {})), [
+    "accounting",
+    "own",
+    "all",
+  ]);
+});
+
+test("targetAcceptsTask applies the target's filters", () => {
+  const [, accounting] = getRouteTargets("own", { projectId: "p1" });
+
+  assert.equal(targetAcceptsTask(accounting, { completed: true }), true);
+  assert.equal(targetAcceptsTask(accounting, { completed: false }), false);
+  assert.equal(
+    targetAcceptsTask({ filters: [{ completed: true }, null] }, {}),
+    true
+  );
+});
+
+test("getTaskRouteContext reads the task's first project and workspace", () => {
+  assert.deepEqual(
+    getTaskRouteContext({
+      memberships: [{ project: { gid: "p1" } }, { project: { gid: "p2" } }],
+      workspace: { gid: "w1" },
+    }),
+    { projectId: "p1", workspaceId: "w1" }
+  );
+});
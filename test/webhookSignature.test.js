@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const {
+  signatureMatches,
+  findSigningSecret,
+  withResourceId,
+} = require("../src/config/webhookSignature");
+
+const body = Buffer.from('{"events":[]}');
+const sign = (secret) =>
+  crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+test("signatureMatches checks the HMAC of the raw body", () => {
+  assert.equal(signatureMatches(body, sign("s1"), "s1"), true);
+  assert.equal(signatureMatches(body, sign("s1"), "s2"), false);
+  // A re-serialized body doesn't match
+  assert.equal(
+    signatureMatches(Buffer.from('{ "events": [] }'), sign("s1"), "s1"),
+    false
+  );
+  assert.equal(signatureMatches(body, "abc", "s1"), false);
+});
+
+test("findSigningSecret only tries the secrets of the delivery's resource", () => {
+  const secrets = [
+    { webhookId: "w1", resourceId: "p1", secret: "s1" },
+    { webhookId: "w2", resourceId: "p2", secret: "s2" },
+  ];
+
+  assert.equal(
+    findSigningSecret(secrets, body, sign("s1"), { resourceId: "p1" }),
+    secrets[0]
+  );
+  assert.equal(
+    findSigningSecret(secrets, body, sign("s2"), { resourceId: "p1" }),
+    null
+  );
+  assert.equal(
+    findSigningSecret(secrets, body, sign("s2"), { webhookId: "w2" }),
+    secrets[1]
+  );
+});
+
+test("findSigningSecret falls back to secrets stored without a resource", () => {
+  const legacy = { webhookId: "w0", secret: "old" };
+  const secrets = [legacy, { webhookId: "w1", resourceId: "p1", secret: "s1" }];
+
+  assert.equal(
+    findSigningSecret(secrets, body, sign("old"), { resourceId: "p9" }),
+    legacy
+  );
+  assert.equal(
+    findSigningSecret(secrets, body, sign("old"), { resourceId: "p1" }),
+    null
+  );
+});
+
+test("findSigningSecret needs a body and a signature", () => {
+  const secrets = [{ secret: "s1" }];
+
+  assert.equal(findSigningSecret(secrets, null, sign("s1")), null);
+  assert.equal(findSigningSecret(secrets, body, ""), null);
+});
+
+test("withResourceId adds the resource to the target URL", () => {
+  assert.equal(
+    withResourceId("https://example.com/receiveWebhook?sheetId=S", "p1"),
+    "https://example.com/receiveWebhook?sheetId=S&resource=p1"
+  );
+});
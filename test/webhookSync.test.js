@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { planWebhookSync } = require("../src/config/webhookSync");
+const { WEBHOOK_FILTERS } = require("../src/config/webhookFilters");
+
+const targetUrl = "https://example.com/receiveWebhook?sheetId=S";
+const projectTarget = (gid) => `${targetUrl}&resource=${gid}`;
+const project = (gid) => ({ gid, name: `Project ${gid}` });
+const webhook = (gid, resourceGid, overrides = {}) => ({
+  gid,
+  resource: { gid: resourceGid },
+  target: projectTarget(resourceGid),
+  active: true,
+  // Order doesn't matter
+  filters: [...WEBHOOK_FILTERS].reverse(),
+  ...overrides,
+});
+
+test("planWebhookSync creates the missing webhooks and keeps the healthy ones", () => {
+  const plan = planWebhookSync({
+    targets: [{ targetUrl, projects: [project("p1"), project("p2")] }],
+    webhooks: [webhook("w1", "p1")],
+  });
+
+  assert.deepEqual(plan.create, [{ project: project("p2"), targetUrl }]);
+  assert.deepEqual(plan.remove, []);
+  assert.equal(plan.unchanged, 1);
+});
+
+test("planWebhookSync replaces inactive webhooks and ones with other filters", () => {
+  const inactive = webhook("w1", "p1", { active: false });
+  const oldFilters = webhook("w2", "p2", { filters: [] });
+
+  const plan = planWebhookSync({
+    targets: [{ targetUrl, projects: [project("p1"), project("p2")] }],
+    webhooks: [inactive, oldFilters],
+  });
+
+  assert.deepEqual(plan.remove, [
+    { webhook: inactive, reason: "inactive", replaced: true },
+    { webhook: oldFilters, reason: "filters changed", replaced: true },
+  ]);
+  assert.deepEqual(
+    plan.create.map(({ project }) => project.gid),
+    ["p1", "p2"]
+  );
+});
+
+test("planWebhookSync removes stale webhooks on a target URL only", () => {
+  const unwatched = webhook("w1", "p9");
+  const duplicate = webhook("w3", "p1");
+  const withoutResource = webhook("w4", "p1", { target: targetUrl });
+  const elsewhere = webhook("w5", "p1", {
+    target: "https://other.example.com/receiveWebhook?resource=p1",
+  });
+
+  const plan = planWebhookSync({
+    targets: [{ targetUrl, projects: [project("p1")] }],
+    webhooks: [
+      unwatched,
+      webhook("w2", "p1"),
+      duplicate,
+      withoutResource,
+      elsewhere,
+    ],
+  });
+
+  assert.deepEqual(plan.remove, [
+    { webhook: unwatched, reason: "project not watched" },
+    { webhook: duplicate, reason: "duplicate" },
+    { webhook: withoutResource, reason: "target without resource ID" },
+  ]);
+  assert.deepEqual(plan.unmanaged, [elsewhere]);
+  assert.deepEqual(plan.create, []);
+  assert.equal(plan.unchanged, 1);
+});